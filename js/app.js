@@ -7,6 +7,8 @@
  *   - Upload CSV
  *   - Check-In (QR Scanner)
  *   - Dashboard
+ *
+ * Kiosk mode (see kiosk.js) covers the whole app, navigation included.
  */
 
 document.addEventListener("DOMContentLoaded", () => {
@@ -69,6 +71,8 @@ document.addEventListener("DOMContentLoaded", () => {
   // --- Logout ---
   logoutBtn.addEventListener("click", async () => {
     CheckInModule.stopScanner();
+    LookupModule.stop();
+    DashboardModule.stop();
     await auth.signOut();
     loginEmail.value = "";
     loginPass.value = "";
@@ -88,9 +92,22 @@ document.addEventListener("DOMContentLoaded", () => {
     appInitialized = true;
 
     UploadModule.init();
+    SyncModule.init();
     CheckInModule.init();
     DashboardModule.init();
-    EventsModule.init();
+    ThroughputModule.init();
+    ChartsModule.init();
+    BadgeModule.init();
+    AttendeesModule.init();   // The dashboard's live listener picks up edits
+    KioskModule.init();
+    // A shared dashboard link, or a kiosk left running before a reload, comes
+    // back once its event is known
+    EventsModule.init().then(() => {
+      if (DashboardModule.restoreView()) {
+        document.querySelector('.nav-btn[data-page="dashboard"]').click();
+      }
+      KioskModule.restore();
+    });
 
     // --- Hamburger Menu Toggle ---
     const hamburgerBtn = document.getElementById("hamburgerBtn");
@@ -140,11 +157,16 @@ document.addEventListener("DOMContentLoaded", () => {
         // Stop scanner when navigating away from Check-In
         if (targetPage !== "checkin") {
           CheckInModule.stopScanner();
+          LookupModule.stop();
+        } else {
+          CheckInModule.activate();
         }
 
-        // Auto-refresh dashboard when navigating to it
+        // Live dashboard only while it is shown
         if (targetPage === "dashboard") {
           DashboardModule.loadDashboard();
+        } else {
+          DashboardModule.stop();
         }
 
         // Auto-refresh events list when navigating to it
@@ -0,0 +1,306 @@
+/**
+ * ============================================
+ * Attendance & Audit Trail Module
+ * ============================================
+ *
+ * Handles:
+ * - Check-in, undo check-in and check-out state changes
+ * - Recording how many guests (plus-ones) arrived with an attendee
+ * - Stamping check-ins with the operator and this device's station (e.g. "Gate A")
+ * - Atomic check-in, undo and check-out (transactions), so only one of several
+ *   devices wins and a stale screen can't reverse a newer change
+ * - Writing every change to the append-only "checkinLog" collection
+ *   (in the same batch / transaction as the change itself)
+ * - Reading an attendee's history for the dashboard
+ *
+ * Firestore Schema:
+ * Collection: "checkinLog" (auto IDs, never updated or deleted)
+ *   - attendeeId (string)    : Attendee document ID
+ *   - eventId    (string)    : Event the attendee belongs to
+ *   - prn, name  (string)    : Copied for readability
+ *   - action     (string)    : "check-in" | "undo-check-in" | "check-out" | "guests" | "promote" | "delete"
+ *   - sessionId  (string|null) : Session the change applies to
+ *   - source     (string)    : "qr" | "manual" | "kiosk" | "checkin" | "dashboard" | "walk-in" | "offline" | "sync"
+ *   - reason     (string)    : Why (required for undo; guest count for "guests")
+ *   - by         (string)    : Signed-in operator's email
+ *   - station    (string)    : Station name of the device ("" if not set)
+ *   - device     (string)    : Browser that made the change
+ *   - at         (timestamp) : When it happened
+ */
+
+const AttendanceModule = (() => {
+  const logRef = db.collection("checkinLog");
+  const STATION_KEY = "tfn_station";
+
+  const ACTION_LABELS = {
+    "check-in":      "Checked in",
+    "undo-check-in": "Check-in undone",
+    "check-out":     "Checked out",
+    "guests":        "Guests recorded",
+    "promote":       "Promoted from waitlist",
+    "delete":        "Deleted"
+  };
+
+  /**
+   * Add a log entry to a batch or transaction
+   * @param {firebase.firestore.WriteBatch|firebase.firestore.Transaction} writer
+   * @param {string} attendeeId
+   * @param {Object} data - Attendee data (for eventId / prn / name)
+   * @param {Object} entry - { action, sessionId, source, reason, at, stamp }
+   *   stamp — { by, station } when not made right now by this device (offline replay)
+   */
+  function log(writer, attendeeId, data, entry) {
+    const stamp = { ...currentStamp(), ...(entry.stamp || {}) };
+    writer.set(logRef.doc(), {
+      attendeeId,
+      eventId:   data.eventId,
+      prn:       data.prn || "",
+      name:      data.name || "",
+      action:    entry.action,
+      sessionId: entry.sessionId || null,
+      source:    entry.source || "",
+      reason:    entry.reason || "",
+      by:        stamp.by,
+      station:   stamp.station,
+      device:    OfflineModule.deviceId,
+      at:        entry.at || firebase.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  /**
+   * Check an attendee in (to the session, if given) and log it
+   * The read and write happen in one transaction: when several devices scan
+   * the same attendee at once, exactly one gets "checked-in" and the others
+   * get "already" with the winner's record.
+   * Waitlisted attendees are refused unless the operator overrides, which
+   * also gives them a seat.
+   * @param {firebase.firestore.DocumentReference} ref
+   * @param {{sessionId?: string, source: string, reason?: string, override?: boolean}} opts
+   * @returns {Promise<{status: "checked-in"|"already"|"waitlisted"|"missing", data?: Object}>}
+   *   data — the attendee as read inside the transaction
+   */
+  function checkIn(ref, opts) {
+    const sessionId = opts.sessionId || null;
+
+    return db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) return { status: "missing" };
+
+      const data = doc.data();
+      if (isCheckedIn(data, sessionId)) return { status: "already", data };
+      if (data.waitlisted && !opts.override) return { status: "waitlisted", data };
+
+      const FieldValue = firebase.firestore.FieldValue;
+      tx.update(ref, {
+        ...checkInFields(data, sessionId, FieldValue.serverTimestamp()),
+        ...stampFields(),
+        ...(data.waitlisted ? { waitlisted: false, promotedAt: FieldValue.serverTimestamp() } : {})
+      });
+      log(tx, ref.id, data, {
+        ...opts,
+        action: "check-in",
+        reason: opts.reason || (data.waitlisted ? "Waitlist override" : "")
+      });
+      return { status: "checked-in", data };
+    });
+  }
+
+  /**
+   * This device's station name (set once per device on the check-in page)
+   */
+  function getStation() {
+    return localStorage.getItem(STATION_KEY) || "";
+  }
+
+  function setStation(name) {
+    localStorage.setItem(STATION_KEY, name.trim());
+  }
+
+  /**
+   * Who is checking people in, and where — right now, on this device
+   * @returns {{by: string, station: string}}
+   */
+  function currentStamp() {
+    const user = firebase.auth().currentUser;
+    return { by: user ? user.email : "", station: getStation() };
+  }
+
+  /**
+   * Attendee fields recording who checked them in, where and on which device
+   * @param {{by: string, station: string}} [stamp] - Defaults to currentStamp()
+   */
+  function stampFields(stamp = currentStamp()) {
+    return {
+      checkInDevice:  OfflineModule.deviceId,
+      checkInBy:      stamp.by,
+      checkInStation: stamp.station
+    };
+  }
+
+  /**
+   * Reverse a check-in (for one session, or the whole event)
+   * Read in a transaction like checkIn: if another device already undid it,
+   * nothing is written or logged.
+   * @param {firebase.firestore.DocumentReference} ref
+   * @param {{sessionId?: string, source: string, reason: string}} opts
+   * @returns {Promise<{status: "undone"|"not-checked-in"|"missing", data?: Object}>}
+   */
+  async function undoCheckIn(ref, opts) {
+    const sessionId = opts.sessionId || null;
+    const result = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) return { status: "missing" };
+
+      const data = doc.data();
+      if (!isCheckedIn(data, sessionId)) return { status: "not-checked-in", data };
+
+      tx.update(ref, undoFields(data, sessionId));
+      log(tx, ref.id, data, { ...opts, action: "undo-check-in" });
+      return { status: "undone", data };
+    });
+    if (result.status === "undone") refreshOfflineRecord(ref);
+    return result;
+  }
+
+  /**
+   * Mark a checked-in attendee as having left
+   * Read in a transaction: attendees not (or no longer) checked in, or
+   * already checked out, are left alone.
+   * @param {firebase.firestore.DocumentReference} ref
+   * @param {{sessionId?: string, source: string, reason?: string}} opts
+   * @returns {Promise<{status: "checked-out"|"already"|"not-checked-in"|"missing", data?: Object}>}
+   */
+  async function checkOut(ref, opts) {
+    const result = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) return { status: "missing" };
+
+      const data = doc.data();
+      if (!isCheckedIn(data, opts.sessionId || null)) return { status: "not-checked-in", data };
+      if (data.checkedOut) return { status: "already", data };
+
+      tx.update(ref, {
+        checkedOut: true,
+        checkOutTime: firebase.firestore.FieldValue.serverTimestamp()
+      });
+      log(tx, ref.id, data, { ...opts, action: "check-out" });
+      return { status: "checked-out", data };
+    });
+    if (result.status === "checked-out") refreshOfflineRecord(ref);
+    return result;
+  }
+
+  /**
+   * Record how many guests arrived with a checked-in attendee
+   * Read in a transaction: the attendee must still be checked in, and the
+   * count is clamped to the allowance as it is now (it may have been lowered).
+   * @param {firebase.firestore.DocumentReference} ref
+   * @param {number} count - Guests arrived
+   * @param {{sessionId?: string, source: string}} opts
+   * @returns {Promise<{status: "recorded"|"not-checked-in"|"missing", count?: number, data?: Object}>}
+   *   count — the number actually recorded; data — the attendee as read
+   */
+  async function recordGuests(ref, count, opts) {
+    const result = await db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) return { status: "missing" };
+
+      const data = doc.data();
+      if (!isCheckedIn(data, opts.sessionId || null)) return { status: "not-checked-in", data };
+
+      const recorded = Math.max(0, Math.min(data.guestsAllowed || 0, count));
+      tx.update(ref, { guestsArrived: recorded });
+      log(tx, ref.id, data, { ...opts, action: "guests", reason: `${recorded} guest(s)` });
+      return { status: "recorded", count: recorded, data };
+    });
+    if (result.status === "recorded") refreshOfflineRecord(ref);
+    return result;
+  }
+
+  /**
+   * Fields that reverse a check-in
+   * Undoing one session keeps the attendee checked in if other sessions remain.
+   */
+  function undoFields(data, sessionId) {
+    const FieldValue = firebase.firestore.FieldValue;
+    const remaining = Object.entries(data.attendance || {})
+      .filter(([id, time]) => id !== sessionId && time)
+      .map(([, time]) => time);
+
+    if (sessionId && remaining.length > 0) {
+      const earliest = remaining.reduce((a, b) => (a.toMillis() <= b.toMillis() ? a : b));
+      return { [`attendance.${sessionId}`]: FieldValue.delete(), checkInTime: earliest };
+    }
+
+    const fields = { checkedIn: false, checkInTime: null, checkedOut: false, checkOutTime: null, guestsArrived: 0 };
+    if (sessionId) fields[`attendance.${sessionId}`] = FieldValue.delete();
+    return fields;
+  }
+
+  /**
+   * Keep the offline roster in step after a reversal (best effort)
+   */
+  function refreshOfflineRecord(ref) {
+    ref.get()
+      .then((doc) => doc.exists && OfflineModule.putRecord(doc.id, doc.data()))
+      .catch(() => {});
+  }
+
+  /**
+   * An attendee's history, newest first
+   * @param {string} attendeeId
+   * @returns {Promise<Object[]>} Log entries
+   */
+  async function getLog(attendeeId) {
+    const snapshot = await logRef.where("attendeeId", "==", attendeeId).get();
+    return snapshot.docs
+      .map((doc) => doc.data())
+      .sort((a, b) => (b.at ? b.at.toMillis() : 0) - (a.at ? a.at.toMillis() : 0));
+  }
+
+  /**
+   * Follow an event's check-ins live (for station / operator throughput)
+   * After the first snapshot only new or changed entries arrive, so the log
+   * isn't re-read as it grows.
+   * @param {string} eventId
+   * @param {Function} onChanges - ({id, entry, removed}[]) per snapshot; our own
+   *   pending entries carry an estimated "at" until the server confirms them
+   * @param {Function} onError
+   * @returns {Function} Unsubscribe
+   */
+  function watchCheckIns(eventId, onChanges, onError) {
+    return logRef
+      .where("eventId", "==", eventId)
+      .where("action", "==", "check-in")
+      .onSnapshot((snapshot) => {
+        onChanges(snapshot.docChanges().map((change) => ({
+          id: change.doc.id,
+          entry: change.doc.data({ serverTimestamps: "estimate" }),
+          removed: change.type === "removed"
+        })));
+      }, onError);
+  }
+
+  /**
+   * Human-readable label of a log action
+   */
+  function actionLabel(action) {
+    return ACTION_LABELS[action] || action;
+  }
+
+  // Public API
+  return {
+    log,
+    checkIn,
+    undoCheckIn,
+    checkOut,
+    recordGuests,
+    getStation,
+    setStation,
+    currentStamp,
+    stampFields,
+    getLog,
+    watchCheckIns,
+    actionLabel
+  };
+})();
@@ -0,0 +1,368 @@
+/**
+ * ============================================
+ * Attendee Editor Module
+ * ============================================
+ *
+ * Handles:
+ * - Adding single attendees from the dashboard (walk-ins), waitlisted when the event is full
+ * - Editing an attendee in a side drawer (incl. custom fields)
+ * - Deleting an attendee, with an extra warning once they're checked in
+ *
+ * New attendees get a signed QR payload exactly like UploadModule does, and
+ * are stored under the same deterministic document ID (event + PRN).
+ */
+
+const AttendeesModule = (() => {
+  // --- DOM Elements ---
+  const drawer          = document.getElementById("attendeeDrawer");
+  const drawerTitle     = document.getElementById("attendeeDrawerTitle");
+  const closeDrawerBtn  = document.getElementById("closeAttendeeDrawer");
+  const form            = document.getElementById("attendeeForm");
+  const nameInput       = document.getElementById("attendeeName");
+  const prnInput        = document.getElementById("attendeePRN");
+  const emailInput      = document.getElementById("attendeeEmail");
+  const mobileInput     = document.getElementById("attendeeMobile");
+  const yearInput       = document.getElementById("attendeeYear");
+  const guestsInput     = document.getElementById("attendeeGuests");
+  const customContainer = document.getElementById("attendeeCustomFields");
+  const checkInNowRow   = document.getElementById("attendeeCheckInNowRow");
+  const checkInNowInput = document.getElementById("attendeeCheckInNow");
+  const prnHint         = document.getElementById("attendeePRNHint");
+  const formError       = document.getElementById("attendeeFormError");
+  const saveBtn         = document.getElementById("saveAttendeeBtn");
+  const deleteBtn       = document.getElementById("deleteAttendeeBtn");
+  const addAttendeeBtn  = document.getElementById("addAttendeeBtn");
+
+  let editing = null;       // Attendee being edited (null when adding)
+  let onChange = () => {};  // Called after any successful write
+
+  /**
+   * Initialize event listeners
+   * @param {Function} changeCallback - Called after a save or delete
+   */
+  function init(changeCallback) {
+    if (changeCallback) onChange = changeCallback;
+
+    yearInput.innerHTML = '<option value="">—</option>' +
+      ValidationModule.VALID_YEARS.map((y) => `<option value="${y}">${y}</option>`).join("");
+    guestsInput.max = ValidationModule.MAX_GUESTS;
+
+    addAttendeeBtn.addEventListener("click", () => open(null));
+    closeDrawerBtn.addEventListener("click", close);
+    drawer.addEventListener("click", (e) => {
+      if (e.target === drawer) close();
+    });
+    form.addEventListener("submit", handleSave);
+    deleteBtn.addEventListener("click", handleDelete);
+  }
+
+  /**
+   * Open the drawer to add (attendee = null) or edit an attendee
+   * @param {Object|null} attendee - Dashboard record (with id)
+   * @param {Object|null} prefill - When adding: details to start from (e.g. the
+   *   attendee's registration for another event); also ticks "check in now"
+   */
+  function open(attendee, prefill = null) {
+    if (!EventsModule.getSelectedEventId()) {
+      showToast("Please select an event first from the Events page!", "warning");
+      return;
+    }
+
+    editing = attendee;
+    const values = attendee || prefill || {};
+    formError.textContent = "";
+    drawerTitle.innerHTML = attendee
+      ? '<i class="fas fa-user-edit"></i> Edit Attendee'
+      : '<i class="fas fa-user-plus"></i> Add Attendee';
+
+    nameInput.value   = values.name || "";
+    prnInput.value    = values.prn || "";
+    emailInput.value  = values.email || "";
+    mobileInput.value = values.mobile || "";
+    setYearOptions(values.year || "");
+    guestsInput.value = values.guestsAllowed || "";
+
+    prnHint.style.display = attendee ? "" : "none";
+    checkInNowRow.style.display = attendee ? "none" : "";
+    checkInNowInput.checked = !attendee && !!prefill;
+    deleteBtn.style.display = attendee ? "" : "none";
+
+    renderCustomInputs(attendee ? attendee.custom || {} : {});  // Custom fields are per event
+    drawer.style.display = "flex";
+    nameInput.focus();
+  }
+
+  /**
+   * Select the attendee's year; a value outside FE/SE/TE/BE (e.g. "MTech"
+   * from an older upload) gets its own option, so saving keeps it
+   */
+  function setYearOptions(year) {
+    yearInput.querySelectorAll("option[data-custom]").forEach((opt) => opt.remove());
+    const value = ValidationModule.normalizeYear(year.trim());
+    if (value && !ValidationModule.VALID_YEARS.includes(value)) {
+      const opt = new Option(value, value);
+      opt.dataset.custom = "";
+      yearInput.appendChild(opt);
+    }
+    yearInput.value = value;
+  }
+
+  /**
+   * Close the drawer
+   */
+  function close() {
+    drawer.style.display = "none";
+    editing = null;
+  }
+
+  /**
+   * One input per custom field of the event (plus any on this attendee)
+   */
+  function renderCustomInputs(values) {
+    const evt = EventsModule.getSelectedEvent();
+    const fields = [...new Set([...((evt && evt.customFields) || []), ...Object.keys(values)])];
+
+    customContainer.innerHTML = fields
+      .map((f) => `
+        <div class="form-group">
+          <label>${escapeHtml(f)}</label>
+          <input type="text" data-custom="${escapeHtml(f)}" value="${escapeHtml(values[f] || "")}" />
+        </div>`)
+      .join("");
+  }
+
+  /**
+   * Read and validate the form
+   * @returns {Object|null} Attendee fields, or null if invalid
+   */
+  function readForm() {
+    const data = {
+      name:   nameInput.value.trim(),
+      prn:    prnInput.value.trim(),
+      email:  emailInput.value.trim(),
+      mobile: mobileInput.value.trim(),
+      year:   yearInput.value,
+      custom: {}
+    };
+    const guests = guestsInput.value.trim();
+    customContainer.querySelectorAll("input[data-custom]").forEach((input) => {
+      data.custom[input.dataset.custom] = input.value.trim();
+    });
+
+    // Name + PRN are required; the rest are checked only when filled in
+    const problems = ["name", "prn"]
+      .map((f) => ValidationModule.validateField(f, data[f]))
+      .concat(["email", "mobile", "year"].map((f) => (data[f] ? ValidationModule.validateField(f, data[f]) : "")))
+      .concat(ValidationModule.validateField("guests", guests))
+      .filter(Boolean);
+
+    if (problems.length > 0) {
+      formError.textContent = problems.join(" · ");
+      return null;
+    }
+    data.guestsAllowed = Number(guests) || 0;
+    return data;
+  }
+
+  /**
+   * Whether a PRN is already registered for the event
+   */
+  async function prnExists(eventId, prn) {
+    const doc = await attendeesRef.doc(attendeeDocId(eventId, prn)).get();
+    if (doc.exists) return true;
+    // Older records may use random document IDs
+    const snapshot = await attendeesRef.where("prn", "==", prn).where("eventId", "==", eventId).limit(1).get();
+    return !snapshot.empty;
+  }
+
+  /**
+   * Save: add a new attendee or update the one being edited
+   */
+  async function handleSave(e) {
+    e.preventDefault();
+    formError.textContent = "";
+
+    const eventId = EventsModule.getSelectedEventId();
+    const data = readForm();
+    if (!data || !eventId) return;
+
+    saveBtn.disabled = true;
+    try {
+      if (!editing) {
+        await addAttendee(eventId, data);
+      } else if (data.prn !== editing.prn) {
+        await changePRN(eventId, data);
+      } else {
+        await updateAttendee(data);
+        showToast(`${data.name} updated`, "success");
+      }
+      close();
+      onChange();
+    } catch (err) {
+      console.error("Failed to save attendee:", err);
+      formError.textContent = err.userMessage || "Failed to save. Please try again.";
+    } finally {
+      saveBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Save edits to the attendee being edited
+   * Lowering the guest allowance below the guests already arrived brings
+   * guestsArrived down with it, so the headcount can't exceed the allowance.
+   */
+  function updateAttendee(data) {
+    const ref = attendeesRef.doc(editing.id);
+    return db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) {
+        throw Object.assign(new Error("Attendee missing"), { userMessage: "This attendee has been removed meanwhile." });
+      }
+      const current = doc.data();
+      const update = { ...data, ...clampedGuests(current, data.guestsAllowed) };
+      tx.update(ref, update);
+      await TicketsModule.write(tx, { ...current, ...update }, current);
+    });
+  }
+
+  /**
+   * { guestsArrived } capped at a new allowance (empty if already within it)
+   */
+  function clampedGuests(current, allowed) {
+    return (current.guestsArrived || 0) > allowed ? { guestsArrived: allowed } : {};
+  }
+
+  /**
+   * Register a new (walk-in) attendee
+   */
+  async function addAttendee(eventId, data) {
+    if (await prnExists(eventId, data.prn)) {
+      throw Object.assign(new Error("Duplicate PRN"), { userMessage: `PRN ${data.prn} is already registered for this event.` });
+    }
+
+    let now = checkInNowInput.checked;
+    let seat = await allocateSeat(eventId);
+    let reason = "";
+    if (seat.waitlisted && now) {
+      // Someone standing at the door: admit them anyway, or queue them
+      if (confirm(`This event is full.\n\nOK: check ${data.name} in anyway (gives them a seat)\nCancel: add them to the waitlist instead`)) {
+        seat = {};
+        reason = "Waitlist override";
+      } else {
+        now = false;
+      }
+    }
+    const time = firebase.firestore.FieldValue.serverTimestamp();
+    // Walk-ins checked in straight away count towards the active session
+    const sessionId = now ? EventsModule.getActiveSessionId() : null;
+    const ref = attendeesRef.doc(attendeeDocId(eventId, data.prn));
+    const doc = {
+      ...data,
+      qrPayload:   await QRModule.buildPayload(eventId, data.prn),
+      checkedIn:   now,
+      checkInTime: now ? time : null,
+      ...(sessionId ? { attendance: { [sessionId]: time } } : {}),
+      ...(now ? AttendanceModule.stampFields() : {}),
+      eventId,
+      createdAt:   time,
+      ...seat
+    };
+
+    const batch = db.batch();
+    batch.set(ref, doc);
+    await TicketsModule.write(batch, doc);
+    if (now) AttendanceModule.log(batch, ref.id, doc, { action: "check-in", sessionId, source: "walk-in", reason });
+    await batch.commit();
+
+    showToast(`${data.name} ${seat.waitlisted ? "added to the waitlist" : "added"}${now ? " and checked in" : ""}`, "success");
+  }
+
+  /**
+   * Seat fields for a new attendee ({} unless the event is full)
+   */
+  async function allocateSeat(eventId) {
+    const event = EventsModule.getSelectedEvent();
+    if (!CapacityModule.capacityOf(event)) return {};
+    const snapshot = await attendeesRef.where("eventId", "==", eventId).get();
+    return CapacityModule.allocator(event, snapshot.docs.map((doc) => doc.data()))();
+  }
+
+  /**
+   * Fix a PRN typo: the record moves to the new deterministic ID with a new QR
+   */
+  async function changePRN(eventId, data) {
+    const proceed = confirm(
+      `Change PRN from ${editing.prn} to ${data.prn}?\n\nA new QR code will be issued; the old one will stop working.`
+    );
+    if (!proceed) {
+      throw Object.assign(new Error("Cancelled"), { userMessage: "PRN change cancelled." });
+    }
+    if (await prnExists(eventId, data.prn)) {
+      throw Object.assign(new Error("Duplicate PRN"), { userMessage: `PRN ${data.prn} is already registered for this event.` });
+    }
+
+    const oldRef = attendeesRef.doc(editing.id);
+    const newRef = attendeesRef.doc(attendeeDocId(eventId, data.prn));
+    const qrPayload = await QRModule.buildPayload(eventId, data.prn);
+    // Read and move in one transaction: a record deleted meanwhile must not be
+    // recreated as a bare document, and the new PRN can't be taken in between
+    await db.runTransaction(async (tx) => {
+      const [doc, taken] = await Promise.all([tx.get(oldRef), tx.get(newRef)]);
+      if (!doc.exists) {
+        throw Object.assign(new Error("Attendee missing"), { userMessage: "This attendee has been removed meanwhile." });
+      }
+      if (taken.exists) {
+        throw Object.assign(new Error("Duplicate PRN"), { userMessage: `PRN ${data.prn} is already registered for this event.` });
+      }
+
+      const current = doc.data();
+      const moved = { ...current, ...data, ...clampedGuests(current, data.guestsAllowed), qrPayload };
+      tx.set(newRef, moved);
+      tx.delete(oldRef);
+      await TicketsModule.write(tx, moved, current);
+    });
+
+    showToast(`${data.name} updated — new QR issued for ${data.prn}`, "success");
+  }
+
+  /**
+   * Delete the attendee being edited (with an extra warning if checked in)
+   */
+  async function handleDelete() {
+    if (!editing) return;
+    const a = editing;
+
+    if (!confirm(`Delete ${a.name} (${a.prn}) from this event? This cannot be undone.`)) return;
+    if (a.checkedIn && !confirm(`${a.name} is already CHECKED IN.\n\nDeleting removes their attendance record too. Delete anyway?`)) return;
+
+    deleteBtn.disabled = true;
+    try {
+      const batch = db.batch();
+      batch.delete(attendeesRef.doc(a.id));
+      await TicketsModule.write(batch, null, a);
+      AttendanceModule.log(batch, a.id, a, { action: "delete", source: "dashboard" });
+      await batch.commit();
+      showToast(`${a.name} deleted`, "success");
+      close();
+      onChange();
+    } catch (err) {
+      console.error("Failed to delete attendee:", err);
+      formError.textContent = "Failed to delete. Please try again.";
+    } finally {
+      deleteBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   */
+  function escapeHtml(str) {
+    if (!str) return "";
+    const div = document.createElement("div");
+    div.textContent = str;
+    return div.innerHTML;
+  }
+
+  // Public API
+  return { init, open };
+})();
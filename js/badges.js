@@ -0,0 +1,253 @@
+/**
+ * ============================================
+ * Badge & Ticket Printing Module
+ * ============================================
+ *
+ * Handles:
+ * - Badge generator modal (template picker) on the dashboard
+ * - Laying out name, PRN, year, event name/date and QR code per attendee
+ * - Templates: A4 grid of 8 or 12 cards, single-card ID badge, thermal label
+ * - Print-ready page in a new window (print or "Save as PDF")
+ *
+ * Badges are generated from the dashboard's current search/filter, so the
+ * same view can print just pending attendees, one year, etc.
+ */
+
+const BadgeModule = (() => {
+  // --- DOM Elements ---
+  const badgeModal      = document.getElementById("badgeModal");
+  const openBadgeBtn    = document.getElementById("printBadgesBtn");
+  const closeBadgeModal = document.getElementById("closeBadgeModal");
+  const badgeTemplate   = document.getElementById("badgeTemplate");
+  const badgeCount      = document.getElementById("badgeCount");
+  const generateBadgesBtn = document.getElementById("generateBadgesBtn");
+
+  const QR_CHUNK_SIZE = 50;   // QR images rendered in parallel per step
+
+  // Page + card geometry per template (millimetres)
+  const TEMPLATES = {
+    "a4-8": {
+      label: "A4 sheet — 8 cards (2 × 4)",
+      page: "A4 portrait",
+      pageCss: "size: A4 portrait; margin: 10mm;",
+      columns: 2,
+      perPage: 8,
+      card: { width: 95, height: 69 },
+      qr: 34
+    },
+    "a4-12": {
+      label: "A4 sheet — 12 cards (3 × 4)",
+      page: "A4 portrait",
+      pageCss: "size: A4 portrait; margin: 10mm;",
+      columns: 3,
+      perPage: 12,
+      card: { width: 63, height: 69 },
+      qr: 30
+    },
+    "id-badge": {
+      label: "ID badge — one card per page (54 × 86 mm)",
+      page: "54 × 86 mm",
+      pageCss: "size: 54mm 86mm; margin: 0;",
+      columns: 1,
+      perPage: 1,
+      card: { width: 54, height: 86 },
+      qr: 36
+    },
+    "thermal": {
+      label: "Thermal label (62 × 40 mm)",
+      page: "62 × 40 mm",
+      pageCss: "size: 62mm 40mm; margin: 0;",
+      columns: 1,
+      perPage: 1,
+      card: { width: 62, height: 40 },
+      qr: 30,
+      horizontal: true
+    }
+  };
+
+  /**
+   * Initialize event listeners
+   */
+  function init() {
+    badgeTemplate.innerHTML = Object.keys(TEMPLATES)
+      .map((key) => `<option value="${key}">${TEMPLATES[key].label}</option>`)
+      .join("");
+
+    openBadgeBtn.addEventListener("click", openModal);
+    closeBadgeModal.addEventListener("click", () => (badgeModal.style.display = "none"));
+    badgeModal.addEventListener("click", (e) => {
+      if (e.target === badgeModal) badgeModal.style.display = "none";
+    });
+    badgeTemplate.addEventListener("change", updateCount);
+    generateBadgesBtn.addEventListener("click", generate);
+  }
+
+  /**
+   * Open the generator for the dashboard's current view
+   */
+  function openModal() {
+    if (!EventsModule.getSelectedEventId()) {
+      showToast("Please select an event first from the Events page!", "warning");
+      return;
+    }
+    updateCount();
+    badgeModal.style.display = "flex";
+  }
+
+  /**
+   * Show how many badges / pages the current view will produce
+   */
+  function updateCount() {
+    const count = DashboardModule.getFilteredAttendees().length;
+    const tpl = TEMPLATES[badgeTemplate.value];
+    const pages = Math.ceil(count / tpl.perPage);
+    badgeCount.textContent = `${count} attendee(s) in the current dashboard view → ${pages} page(s) of ${tpl.page}`;
+    generateBadgesBtn.disabled = count === 0;
+  }
+
+  /**
+   * Build the print page in a new window
+   */
+  async function generate() {
+    const attendees = DashboardModule.getFilteredAttendees();
+    if (attendees.length === 0) return;
+
+    // Open the window inside the click so popup blockers allow it
+    const win = window.open("", "_blank");
+    if (!win) {
+      showToast("Allow pop-ups for this site to print badges", "error");
+      return;
+    }
+    win.document.write("<p style=\"font-family:sans-serif;padding:2rem;\">Generating badges…</p>");
+
+    generateBadgesBtn.disabled = true;
+    try {
+      const qrImages = await renderQRImages(attendees);
+      const evt = EventsModule.getSelectedEvent() || {};
+      win.document.open();
+      win.document.write(buildPage(TEMPLATES[badgeTemplate.value], attendees, qrImages, evt));
+      win.document.close();
+      badgeModal.style.display = "none";
+      const missing = qrImages.filter((img) => !img).length;
+      if (missing > 0) {
+        showToast(`${missing} badge(s) have no QR code yet — use Slim QR Data on the event to issue them`, "warning");
+      }
+    } catch (err) {
+      console.error("Badge generation failed:", err);
+      win.close();
+      showToast("Failed to generate badges", "error");
+    } finally {
+      generateBadgesBtn.disabled = false;
+      generateBadgesBtn.innerHTML = '<i class="fas fa-print"></i> Generate Print Page';
+    }
+  }
+
+  /**
+   * Render every attendee's QR to a data URL, a chunk at a time
+   * Only signed payloads are printed: legacy qrData images encode the bare PRN,
+   * which the scanner rejects.
+   * @returns {Promise<string[]>} One data URL ("" if no code) per attendee
+   */
+  async function renderQRImages(attendees) {
+    const images = [];
+    for (let start = 0; start < attendees.length; start += QR_CHUNK_SIZE) {
+      const chunk = attendees.slice(start, start + QR_CHUNK_SIZE);
+      const rendered = await Promise.all(
+        chunk.map((a) => (a.qrPayload ? QRModule.toDataURL(a.qrPayload) : Promise.resolve("")))
+      );
+      images.push(...rendered);
+      generateBadgesBtn.innerHTML = `<i class="fas fa-spinner fa-spin"></i> ${images.length}/${attendees.length}`;
+    }
+    return images;
+  }
+
+  /**
+   * Build the full HTML document for printing
+   */
+  function buildPage(tpl, attendees, qrImages, evt) {
+    const eventLine = [evt.name, evt.date].filter(Boolean).map(escapeHtml).join(" · ");
+
+    const cards = attendees.map((a, i) => `
+      <div class="badge">
+        <div class="badge-event">${eventLine}</div>
+        ${qrImages[i] ? `<img class="badge-qr" src="${qrImages[i]}" alt="QR" />` : '<div class="badge-qr badge-noqr">QR not issued yet — ask the organiser</div>'}
+        <div class="badge-text">
+          <div class="badge-name">${escapeHtml(a.name)}</div>
+          <div class="badge-meta">${escapeHtml(a.prn)}${a.year ? ` · ${escapeHtml(a.year)}` : ""}</div>
+        </div>
+      </div>`);
+
+    const pages = [];
+    for (let start = 0; start < cards.length; start += tpl.perPage) {
+      pages.push(`<section class="sheet">${cards.slice(start, start + tpl.perPage).join("")}</section>`);
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>Badges — ${escapeHtml(evt.name || "Event")}</title>
+  <style>
+    @page { ${tpl.pageCss} }
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif; color: #1e293b; }
+    .toolbar { padding: 12px; background: #f1f5f9; display: flex; gap: 12px; align-items: center; font-size: 14px; }
+    .toolbar button { padding: 8px 16px; border: none; border-radius: 8px; background: #4f46e5; color: #fff; font-weight: 600; cursor: pointer; }
+    .sheet {
+      display: grid;
+      grid-template-columns: repeat(${tpl.columns}, ${tpl.card.width}mm);
+      grid-auto-rows: ${tpl.card.height}mm;
+      justify-content: center;
+      page-break-after: always;
+      break-after: page;
+    }
+    .sheet:last-child { page-break-after: auto; break-after: auto; }
+    .badge {
+      width: ${tpl.card.width}mm;
+      height: ${tpl.card.height}mm;
+      border: 0.3mm dashed #cbd5e1;
+      padding: 3mm;
+      display: flex;
+      flex-direction: ${tpl.horizontal ? "row" : "column"};
+      flex-wrap: ${tpl.horizontal ? "wrap" : "nowrap"};
+      align-items: center;
+      justify-content: center;
+      gap: 2mm;
+      text-align: ${tpl.horizontal ? "left" : "center"};
+      overflow: hidden;
+    }
+    .badge-event { width: 100%; font-size: 2.6mm; font-weight: 600; color: #4f46e5; text-align: center; }
+    .badge-qr { width: ${tpl.qr}mm; height: ${tpl.qr}mm; flex-shrink: 0; }
+    .badge-noqr { border: 0.3mm solid #e2e8f0; display: flex; align-items: center; justify-content: center; padding: 2mm; text-align: center; font-size: 3mm; color: #64748b; }
+    .badge-text { min-width: 0; ${tpl.horizontal ? "flex: 1;" : ""} }
+    .badge-name { font-size: ${tpl.horizontal ? "3.6mm" : "4.4mm"}; font-weight: 700; line-height: 1.2; word-break: break-word; }
+    .badge-meta { font-size: 3mm; color: #475569; margin-top: 1mm; }
+    @media print {
+      .toolbar { display: none; }
+      .badge { border-color: ${tpl.perPage > 1 ? "#cbd5e1" : "transparent"}; }
+    }
+  </style>
+</head>
+<body>
+  <div class="toolbar">
+    <button onclick="window.print()">Print / Save as PDF</button>
+    <span>${attendees.length} badge(s) · ${escapeHtml(tpl.label)}</span>
+  </div>
+  ${pages.join("")}
+</body>
+</html>`;
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   */
+  function escapeHtml(str) {
+    if (!str) return "";
+    const div = document.createElement("div");
+    div.textContent = str;
+    return div.innerHTML;
+  }
+
+  // Public API
+  return { init };
+})();
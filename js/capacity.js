@@ -0,0 +1,123 @@
+/**
+ * ============================================
+ * Capacity & Waitlist Module
+ * ============================================
+ *
+ * Handles:
+ * - Seat accounting for events with a capacity (confirmed vs waitlisted)
+ * - Deciding, as registrations are added, who gets a seat and who is waitlisted
+ * - Promoting waitlisted attendees in waitlist order once seats free up
+ *
+ * Attendees without a "waitlisted" flag are confirmed, so events without a
+ * capacity (and records from before capacities existed) are unaffected.
+ *
+ * Attendee fields:
+ *   - waitlisted   (boolean) : true while waiting for a seat
+ *   - waitlistRank (number)  : Position in the queue (lower = earlier), kept after promotion
+ *   - promotedAt   (timestamp) : When they got a seat
+ */
+
+const CapacityModule = (() => {
+  /**
+   * Seat usage of an event
+   * @param {Object|null} event - Event record (with capacity)
+   * @param {Object[]} attendees - The event's attendee records
+   * @returns {{capacity: number|null, confirmed: number, waitlisted: number, free: number|null}}
+   */
+  function seatState(event, attendees) {
+    const capacity = capacityOf(event);
+    const waitlisted = attendees.filter((a) => a.waitlisted).length;
+    const confirmed = attendees.length - waitlisted;
+    return {
+      capacity,
+      confirmed,
+      waitlisted,
+      free: capacity === null ? null : Math.max(0, capacity - confirmed)
+    };
+  }
+
+  /**
+   * Capacity of an event (null = unlimited)
+   */
+  function capacityOf(event) {
+    return event && event.capacity > 0 ? event.capacity : null;
+  }
+
+  /**
+   * Hand out seats to new registrations in order: confirmed while seats remain,
+   * then waitlisted at the back of the queue
+   * Nobody jumps the queue: while anyone is waiting, freed seats are left for
+   * promotion and new registrations join the waitlist.
+   * @param {Object|null} event - Event record (with capacity)
+   * @param {Object[]} attendees - The event's current attendee records
+   * @returns {Function} () → fields to add to the next new attendee document
+   */
+  function allocator(event, attendees) {
+    const { capacity, free, waitlisted } = seatState(event, attendees);
+    let seatsLeft = capacity === null ? Infinity : waitlisted > 0 ? 0 : free;
+    let nextRank = attendees.reduce((max, a) => Math.max(max, a.waitlistRank || 0), 0) + 1;
+
+    return () => {
+      if (seatsLeft > 0) {
+        seatsLeft--;
+        return {};
+      }
+      return { waitlisted: true, waitlistRank: nextRank++ };
+    };
+  }
+
+  /**
+   * Waitlisted attendees in the order they will be promoted
+   * @param {Object[]} attendees - Records (with id)
+   */
+  function waitlistOrder(attendees) {
+    return attendees
+      .filter((a) => a.waitlisted)
+      .sort((a, b) => (a.waitlistRank || 0) - (b.waitlistRank || 0));
+  }
+
+  /**
+   * Give seats to the first `count` people on the waitlist
+   * Seats are re-counted from Firestore, and the event and each attendee are
+   * re-read in a transaction: attendees promoted (or removed) meanwhile by
+   * another device are skipped, and unless overCapacity is set nobody is
+   * promoted past the event's current capacity.
+   * @param {string} eventId
+   * @param {number} count
+   * @param {{overCapacity?: boolean}} [opts] - overCapacity: operator confirmed going over
+   * @returns {Promise<Object[]>} The promoted attendees (may be fewer than count)
+   */
+  async function promote(eventId, count, opts = {}) {
+    const snapshot = await attendeesRef.where("eventId", "==", eventId).get();
+    const attendees = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    const candidates = waitlistOrder(attendees).slice(0, count);
+    if (candidates.length === 0) return [];
+
+    const confirmed = attendees.length - attendees.filter((a) => a.waitlisted).length;
+
+    return db.runTransaction(async (tx) => {
+      const eventDoc = await tx.get(eventsRef.doc(eventId));
+      const docs = await Promise.all(candidates.map((a) => tx.get(attendeesRef.doc(a.id))));
+
+      const capacity = capacityOf(eventDoc.exists ? eventDoc.data() : null);
+      const seats = capacity === null || opts.overCapacity ? Infinity : Math.max(0, capacity - confirmed);
+
+      const next = docs
+        .filter((doc) => doc.exists && doc.data().waitlisted)
+        .slice(0, seats)
+        .map((doc) => ({ id: doc.id, ...doc.data() }));
+
+      next.forEach((a) => {
+        tx.update(attendeesRef.doc(a.id), {
+          waitlisted: false,
+          promotedAt: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        AttendanceModule.log(tx, a.id, a, { action: "promote", source: "dashboard" });
+      });
+      return next;
+    });
+  }
+
+  // Public API
+  return { seatState, capacityOf, allocator, waitlistOrder, promote };
+})();
@@ -0,0 +1,327 @@
+/**
+ * ============================================
+ * Dashboard Charts Module
+ * ============================================
+ *
+ * Handles:
+ * - Arrivals over time (check-ins per 5 / 15 / 60 minutes) from checkInTime
+ * - Check-in rate per academic year
+ * - Peak-minute throughput (busiest single minute and busiest 15 minutes)
+ * - Downloading each chart as a PNG for event reports
+ *
+ * Charts are drawn on plain canvases from the attendees the dashboard table
+ * currently shows, so they follow its search, status filter and session. The
+ * title and view description are drawn into the image so an exported PNG
+ * stands on its own.
+ */
+
+const ChartsModule = (() => {
+  // --- DOM Elements ---
+  const panel          = document.getElementById("chartsPanel");
+  const arrivalsCanvas = document.getElementById("arrivalsChart");
+  const yearCanvas     = document.getElementById("yearChart");
+  const peakText       = document.getElementById("chartPeak");
+  const bucketBtns     = document.querySelectorAll(".filter-btn[data-bucket]");
+  const downloadBtns   = document.querySelectorAll(".chart-download-btn");
+
+  const ARRIVALS_HEIGHT = 280;
+  const YEAR_ROW_HEIGHT = 34;
+  const PAD = { top: 58, right: 18, bottom: 34, left: 44 };
+  const YEAR_ORDER = ["FE", "SE", "TE", "BE"];
+  const MINUTE = 60000;
+
+  let bucketMinutes = 15;
+  let view = { attendees: [], sessionId: null, label: "" };
+  let resizeTimer = null;
+
+  /**
+   * Initialize event listeners
+   */
+  function init() {
+    bucketBtns.forEach((btn) => {
+      btn.addEventListener("click", () => {
+        bucketBtns.forEach((b) => b.classList.remove("active"));
+        btn.classList.add("active");
+        bucketMinutes = Number(btn.dataset.bucket);
+        draw();
+      });
+    });
+
+    downloadBtns.forEach((btn) => {
+      btn.addEventListener("click", () => downloadPNG(btn.dataset.chart));
+    });
+
+    window.addEventListener("resize", () => {
+      clearTimeout(resizeTimer);
+      resizeTimer = setTimeout(draw, 150);
+    });
+  }
+
+  /**
+   * Redraw the charts for the dashboard's current view
+   * @param {Object[]} attendees - The attendees shown in the table
+   * @param {string|null} sessionId - Session the view is based on
+   * @param {string} label - Description of the view (event, session, filters)
+   */
+  function render(attendees, sessionId, label) {
+    view = { attendees, sessionId, label };
+    draw();
+  }
+
+  function draw() {
+    panel.style.display = view.attendees.length > 0 ? "" : "none";
+    if (view.attendees.length === 0) return;
+
+    const times = view.attendees
+      .map((a) => checkInTimeOf(a, view.sessionId))
+      .filter(Boolean)
+      .map((t) => t.toMillis())
+      .sort((a, b) => a - b);
+
+    const peak = peakOf(times);
+    peakText.innerHTML = times.length === 0
+      ? "No check-ins in this view yet."
+      : `<strong>${times.length}</strong> check-ins · Peak minute: <strong>${peak.minute.count}</strong> at ${formatTime(peak.minute.at)}` +
+        ` · Busiest 15 min: <strong>${peak.quarter.count}</strong> from ${formatTime(peak.quarter.at)}` +
+        ` (${(peak.quarter.count / 15).toFixed(1)}/min)`;
+
+    drawArrivals(times, peak);
+    drawYears();
+  }
+
+  /**
+   * Busiest minute, and busiest 15-minute window, of a sorted list of times
+   * @returns {{minute: {count, at}, quarter: {count, at}}}
+   */
+  function peakOf(times) {
+    const minute = { count: 0, at: 0 };
+    const perMinute = new Map();
+    times.forEach((t) => {
+      const m = Math.floor(t / MINUTE) * MINUTE;
+      const count = (perMinute.get(m) || 0) + 1;
+      perMinute.set(m, count);
+      if (count > minute.count) Object.assign(minute, { count, at: m });
+    });
+
+    // Sliding window over the sorted times
+    const quarter = { count: 0, at: 0 };
+    let start = 0;
+    times.forEach((t, end) => {
+      while (t - times[start] >= 15 * MINUTE) start++;
+      if (end - start + 1 > quarter.count) Object.assign(quarter, { count: end - start + 1, at: times[start] });
+    });
+    return { minute, quarter };
+  }
+
+  /**
+   * Bar chart of check-ins per bucket
+   */
+  function drawArrivals(times, peak) {
+    const { ctx, width, height } = setupCanvas(arrivalsCanvas, ARRIVALS_HEIGHT);
+    const colors = themeColors();
+    drawTitle(ctx, colors, `Arrivals per ${bucketMinutes} min`,
+      times.length ? `${view.label} · ${times.length} check-ins · peak minute ${peak.minute.count} at ${formatTime(peak.minute.at)}` : view.label);
+
+    if (times.length === 0) {
+      drawEmpty(ctx, colors, width, height, "No check-ins in this view yet");
+      return;
+    }
+
+    const bucketMs = bucketMinutes * MINUTE;
+    const first = localFloor(times[0], bucketMs);
+    const count = Math.floor((times[times.length - 1] - first) / bucketMs) + 1;
+    const buckets = new Array(count).fill(0);
+    times.forEach((t) => buckets[Math.floor((t - first) / bucketMs)]++);
+
+    const plotW = width - PAD.left - PAD.right;
+    const plotH = height - PAD.top - PAD.bottom;
+    const max = niceMax(Math.max(...buckets));
+
+    // Y grid + labels
+    ctx.font = "11px sans-serif";
+    ctx.textAlign = "right";
+    ctx.textBaseline = "middle";
+    for (let i = 0; i <= 4; i++) {
+      const value = (max / 4) * i;
+      const y = PAD.top + plotH - (value / max) * plotH;
+      ctx.strokeStyle = colors.border;
+      ctx.beginPath();
+      ctx.moveTo(PAD.left, y);
+      ctx.lineTo(width - PAD.right, y);
+      ctx.stroke();
+      ctx.fillStyle = colors.muted;
+      ctx.fillText(String(Math.round(value)), PAD.left - 6, y);
+    }
+
+    // Bars
+    const slot = plotW / count;
+    const barW = Math.max(1, slot * 0.8);
+    ctx.fillStyle = colors.primary;
+    buckets.forEach((n, i) => {
+      const h = (n / max) * plotH;
+      ctx.fillRect(PAD.left + i * slot + (slot - barW) / 2, PAD.top + plotH - h, barW, h);
+    });
+
+    // X labels, at least ~70px apart
+    const multiDay = new Date(first).toDateString() !== new Date(first + count * bucketMs).toDateString();
+    const every = Math.max(1, Math.ceil(70 / slot));
+    ctx.fillStyle = colors.muted;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    for (let i = 0; i < count; i += every) {
+      const at = first + i * bucketMs;
+      ctx.fillText(multiDay ? formatDayTime(at) : formatTime(at), PAD.left + i * slot + slot / 2, PAD.top + plotH + 8);
+    }
+  }
+
+  /**
+   * Horizontal bars: checked in / registered per year
+   */
+  function drawYears() {
+    const groups = new Map();
+    view.attendees.forEach((a) => {
+      const year = (a.year || "").trim().toUpperCase() || "—";
+      if (!groups.has(year)) groups.set(year, { total: 0, checkedIn: 0 });
+      const group = groups.get(year);
+      group.total++;
+      if (isCheckedIn(a, view.sessionId)) group.checkedIn++;
+    });
+    const rows = [...groups.entries()].sort(([a], [b]) => yearRank(a) - yearRank(b) || a.localeCompare(b));
+
+    const { ctx, width } = setupCanvas(yearCanvas, PAD.top + rows.length * YEAR_ROW_HEIGHT + 16);
+    const colors = themeColors();
+    drawTitle(ctx, colors, "Check-in rate by year", view.label);
+
+    const labelW = 60;
+    const valueW = 120;
+    const barX = PAD.left + labelW;
+    const barW = width - barX - valueW - PAD.right;
+
+    ctx.font = "12px sans-serif";
+    ctx.textBaseline = "middle";
+    rows.forEach(([year, g], i) => {
+      const y = PAD.top + i * YEAR_ROW_HEIGHT;
+      const mid = y + YEAR_ROW_HEIGHT / 2;
+      const pct = g.total ? g.checkedIn / g.total : 0;
+
+      ctx.fillStyle = colors.text;
+      ctx.textAlign = "left";
+      ctx.fillText(year, PAD.left, mid);
+
+      ctx.fillStyle = colors.track;
+      ctx.fillRect(barX, y + 8, barW, YEAR_ROW_HEIGHT - 16);
+      ctx.fillStyle = colors.success;
+      ctx.fillRect(barX, y + 8, barW * pct, YEAR_ROW_HEIGHT - 16);
+
+      ctx.fillStyle = colors.muted;
+      ctx.fillText(`${g.checkedIn} / ${g.total} (${Math.round(pct * 100)}%)`, barX + barW + 10, mid);
+    });
+  }
+
+  /**
+   * Round a time down to a bucket boundary in local time
+   * (flooring the epoch value would align hours to UTC — :30 in IST)
+   */
+  function localFloor(ms, bucketMs) {
+    const offset = new Date(ms).getTimezoneOffset() * MINUTE;
+    return Math.floor((ms - offset) / bucketMs) * bucketMs + offset;
+  }
+
+  /**
+   * Academic order of a year (FE, SE, TE, BE, then anything else)
+   */
+  function yearRank(year) {
+    const i = YEAR_ORDER.indexOf(year.toUpperCase());
+    return i === -1 ? YEAR_ORDER.length : i;
+  }
+
+  // --- Drawing helpers ---
+
+  /**
+   * Size a canvas to its container (sharp on high-DPI screens) and paint the background
+   */
+  function setupCanvas(canvas, height) {
+    const width = canvas.parentElement.clientWidth || 600;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    canvas.style.height = `${height}px`;
+
+    const ctx = canvas.getContext("2d");
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    // Opaque background, so exported PNGs aren't transparent
+    ctx.fillStyle = themeColors().surface;
+    ctx.fillRect(0, 0, width, height);
+    return { ctx, width, height };
+  }
+
+  function drawTitle(ctx, colors, title, subtitle) {
+    ctx.textAlign = "left";
+    ctx.textBaseline = "alphabetic";
+    ctx.fillStyle = colors.text;
+    ctx.font = "bold 14px sans-serif";
+    ctx.fillText(title, PAD.left, 22);
+    ctx.fillStyle = colors.muted;
+    ctx.font = "12px sans-serif";
+    ctx.fillText(subtitle, PAD.left, 40);
+  }
+
+  function drawEmpty(ctx, colors, width, height, message) {
+    ctx.fillStyle = colors.muted;
+    ctx.font = "13px sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(message, width / 2, (height + PAD.top) / 2);
+  }
+
+  /**
+   * Round an axis maximum up to a multiple of 4 (so the 4 grid steps are whole numbers)
+   */
+  function niceMax(value) {
+    return Math.max(4, Math.ceil(value / 4) * 4);
+  }
+
+  function themeColors() {
+    const css = getComputedStyle(document.documentElement);
+    const get = (name) => css.getPropertyValue(name).trim();
+    return {
+      primary: get("--primary"),
+      success: get("--success"),
+      text:    get("--text"),
+      muted:   get("--text-secondary"),
+      border:  get("--border"),
+      track:   get("--bg"),
+      surface: get("--surface")
+    };
+  }
+
+  function formatTime(ms) {
+    return new Date(ms).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  }
+
+  function formatDayTime(ms) {
+    return new Date(ms).toLocaleString([], { weekday: "short", hour: "2-digit", minute: "2-digit" });
+  }
+
+  /**
+   * Download a chart as a PNG
+   * @param {"arrivals"|"years"} chart
+   */
+  function downloadPNG(chart) {
+    const canvas = chart === "years" ? yearCanvas : arrivalsCanvas;
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        showToast("Could not export the chart", "error");
+        return;
+      }
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = `${chart === "years" ? "checkin-rate-by-year" : "arrivals"}-${new Date().toISOString().slice(0, 10)}.png`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }, "image/png");
+  }
+
+  // Public API
+  return { init, render, yearRank };
+})();
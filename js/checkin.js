@@ -5,18 +5,26 @@
  *
  * Handles:
  * - Camera-based QR code scanning (Html5-QRCode)
+ * - Hardware barcode scanners (keyboard wedge): fast keystroke bursts anywhere
+ *   on the page are treated as scans
+ * - Verifying signed QR payloads (forged / altered / wrong-event rejection)
  * - Fetching attendee details from Firestore by PRN
  * - Marking attendee as checked-in with timestamp
- * - Duplicate check-in prevention
- * - Manual PRN lookup fallback
+ * - Duplicate check-in prevention (per session for events with sessions)
+ * - Undo check-in / check out from the result card (logged with a reason)
+ * - Recording guests (plus-ones) who arrived with the attendee
+ * - Naming this device's station (stamped on every check-in with the operator)
+ * - Manual lookup fallback (search by name / email / mobile — see lookup.js)
+ * - Spotting attendees registered for a different event (switch or walk-in)
+ * - Offline check-ins against the cached roster, synced when back online
  */
 
 const CheckInModule = (() => {
   // --- DOM Elements ---
   const startScanBtn   = document.getElementById("startScanBtn");
   const stopScanBtn    = document.getElementById("stopScanBtn");
-  const manualPRN      = document.getElementById("manualPRN");
-  const manualCheckInBtn = document.getElementById("manualCheckInBtn");
+  const wedgeToggle    = document.getElementById("wedgeModeToggle");
+  const wedgeStatus    = document.getElementById("wedgeStatus");
 
   // Result state containers
   const resultDefault  = document.getElementById("resultDefault");
@@ -24,14 +32,61 @@ const CheckInModule = (() => {
   const resultSuccess  = document.getElementById("resultSuccess");
   const resultAlready  = document.getElementById("resultAlready");
   const resultNotFound = document.getElementById("resultNotFound");
+  const resultForged   = document.getElementById("resultForged");
+  const resultAltered  = document.getElementById("resultAltered");
+  const resultWrongEvent = document.getElementById("resultWrongEvent");
+  const wrongEventMsg  = document.getElementById("wrongEventMsg");
+  const wrongEventActions = document.getElementById("wrongEventActions");
+  const resultWaitlisted = document.getElementById("resultWaitlisted");
+  const waitlistMsg    = document.getElementById("waitlistMsg");
+  const attendeeDetailsWaitlisted = document.getElementById("attendeeDetailsWaitlisted");
+  const waitlistOverrideBtn = document.getElementById("waitlistOverrideBtn");
   const attendeeDetails       = document.getElementById("attendeeDetails");
   const attendeeDetailsAlready = document.getElementById("attendeeDetailsAlready");
   const alreadyTime    = document.getElementById("alreadyTime");
+  const successOfflineNote = document.getElementById("successOfflineNote");
+  const resultActions  = document.getElementById("resultActions");
+  const undoCheckInBtn = document.getElementById("undoCheckInBtn");
+  const checkOutBtn    = document.getElementById("checkOutBtn");
+  const guestRecorder  = document.getElementById("guestRecorder");
+  const guestCountEl   = document.getElementById("guestCount");
+  const guestMaxEl     = document.getElementById("guestMax");
+  const guestMinusBtn  = document.getElementById("guestMinusBtn");
+  const guestPlusBtn   = document.getElementById("guestPlusBtn");
+  const saveGuestsBtn  = document.getElementById("saveGuestsBtn");
+  const sessionPicker  = document.getElementById("sessionPicker");
+  const checkinSession = document.getElementById("checkinSession");
+
+  // Offline status bar
+  const stationBtn       = document.getElementById("stationBtn");
+  const stationName      = document.getElementById("stationName");
+  const offlineStatus    = document.getElementById("offlineStatus");
+  const offlinePending   = document.getElementById("offlinePending");
+  const offlineRoster    = document.getElementById("offlineRoster");
+  const syncNowBtn       = document.getElementById("syncNowBtn");
+  const refreshRosterBtn = document.getElementById("refreshRosterBtn");
+  const offlineConflicts = document.getElementById("offlineConflicts");
+
+  const LOOKUP_TIMEOUT = 8000;   // Fall back to the offline roster after this (ms)
+
+  // Keyboard-wedge scanners type a whole code in a few ms per key; people don't
+  const WEDGE_STORAGE_KEY = "tfn_wedge_mode";
+  const WEDGE_MAX_GAP = 50;      // Longest pause between keys of one burst (ms)
+  const WEDGE_MIN_LENGTH = 6;    // Shorter bursts are ignored
+  const WEDGE_PASS_KEYS = 3;     // Keys let through before a burst counts as a scanner
+  const WEDGE_IDLE_SUBMIT = 150; // Scanners without an Enter suffix: submit after this (ms)
 
   let html5QrCode = null;   // Scanner instance
   let isScanning = false;
   let lastScannedCode = "";  // Prevent rapid duplicate scans
   let scanCooldown = false;
+  let rosterEventId = null;  // Event whose roster is cached this session
+  let syncing = false;
+  let lastResult = null;     // { ref, data, sessionId } of the attendee on the result card
+  let guestCount = 0;        // Guests entered on the result card
+  let lastMiss = null;       // { prn, source, data, otherEvents } of a wrong-event result
+  let lastWaitlisted = null; // { prn, source, data } of a waitlisted result
+  let wedge = { keys: "", lastAt: 0, leaked: "", target: null, timer: null };
 
   /**
    * Initialize event listeners
@@ -39,12 +94,191 @@ const CheckInModule = (() => {
   function init() {
     startScanBtn.addEventListener("click", startScanner);
     stopScanBtn.addEventListener("click", stopScanner);
-    manualCheckInBtn.addEventListener("click", handleManualCheckIn);
 
-    // Allow Enter key for manual PRN input
-    manualPRN.addEventListener("keydown", (e) => {
-      if (e.key === "Enter") handleManualCheckIn();
+    // Hardware scanner input (listens in the capture phase, before any input field)
+    wedgeToggle.checked = localStorage.getItem(WEDGE_STORAGE_KEY) === "1";
+    wedgeToggle.addEventListener("change", () => {
+      localStorage.setItem(WEDGE_STORAGE_KEY, wedgeToggle.checked ? "1" : "0");
+      resetWedge();
+      updateWedgeStatus();
+    });
+    document.addEventListener("keydown", onWedgeKeydown, true);
+    updateWedgeStatus();
+
+    // Manual lookup: search by name / email / mobile, or an exact PRN
+    LookupModule.init((prn) => lookupAndCheckIn(prn, "manual"));
+
+    checkinSession.addEventListener("change", () => {
+      EventsModule.setActiveSessionId(checkinSession.value);
+      showToast(`Checking in to: ${EventsModule.getSessionName(checkinSession.value)}`, "info");
+    });
+
+    undoCheckInBtn.addEventListener("click", handleUndoCheckIn);
+    checkOutBtn.addEventListener("click", handleCheckOut);
+    guestMinusBtn.addEventListener("click", () => setGuestCount(guestCount - 1));
+    guestPlusBtn.addEventListener("click", () => setGuestCount(guestCount + 1));
+    saveGuestsBtn.addEventListener("click", handleSaveGuests);
+    wrongEventActions.addEventListener("click", handleWrongEventAction);
+    waitlistOverrideBtn.addEventListener("click", handleWaitlistOverride);
+
+    stationBtn.addEventListener("click", editStation);
+    renderStation();
+
+    syncNowBtn.addEventListener("click", syncQueue);
+    refreshRosterBtn.addEventListener("click", () => cacheRoster(true));
+    window.addEventListener("offline", updateOfflineStatus);
+    window.addEventListener("online", () => {
+      updateOfflineStatus();
+      syncQueue();
     });
+    updateOfflineStatus();
+  }
+
+  /**
+   * Called when the check-in page is opened
+   */
+  function activate() {
+    renderSessionPicker();
+    prepareOffline();
+  }
+
+  /**
+   * Ask for this device's station name (e.g. "Gate A")
+   */
+  function editStation() {
+    const name = prompt("Station name for this device (e.g. Gate A, Help Desk):", AttendanceModule.getStation());
+    if (name === null) return;
+    AttendanceModule.setStation(name);
+    renderStation();
+    if (name.trim()) showToast(`This device is now "${name.trim()}"`, "success");
+  }
+
+  function renderStation() {
+    const station = AttendanceModule.getStation();
+    stationName.textContent = station || "Set station";
+    stationBtn.classList.toggle("unset", !station);
+  }
+
+  /**
+   * Show the session picker for events with sessions
+   */
+  function renderSessionPicker() {
+    const sessions = EventsModule.getSessions();
+    sessionPicker.style.display = sessions.length ? "" : "none";
+    checkinSession.innerHTML = sessions
+      .map((session) => `<option value="${escapeHtml(session.id)}">${escapeHtml(session.name)}</option>`)
+      .join("");
+    if (sessions.length) checkinSession.value = EventsModule.getActiveSessionId();
+  }
+
+  /**
+   * Get the check-in page ready for offline use
+   */
+  async function prepareOffline() {
+    updateOfflineStatus();
+    if (!OfflineModule.isOnline()) return;
+    await syncQueue();
+    await cacheRoster(false);
+  }
+
+  /**
+   * Cache the selected event's roster for offline check-ins
+   * @param {boolean} force - Re-download even if cached this session
+   */
+  async function cacheRoster(force) {
+    const eventId = EventsModule.getSelectedEventId();
+    if (!eventId || (!force && rosterEventId === eventId)) return;
+    if (!OfflineModule.isOnline()) {
+      showToast("Connect to the internet to refresh the offline roster", "warning");
+      return;
+    }
+
+    refreshRosterBtn.disabled = true;
+    offlineRoster.textContent = "Caching roster…";
+    try {
+      const count = await OfflineModule.cacheRoster(eventId);
+      rosterEventId = eventId;
+      offlineRoster.textContent = `${count} attendee(s) cached for offline use`;
+    } catch (err) {
+      console.error("Roster caching failed:", err);
+      offlineRoster.textContent = "Offline roster not available";
+    } finally {
+      refreshRosterBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Refresh the online/offline indicator and pending-sync counter
+   */
+  async function updateOfflineStatus() {
+    const online = OfflineModule.isOnline();
+    offlineStatus.className = `offline-status ${online ? "online" : "offline"}`;
+    offlineStatus.innerHTML = online
+      ? '<i class="fas fa-wifi"></i> Online'
+      : '<i class="fas fa-plane"></i> Offline — using cached roster';
+
+    let pending = 0;
+    try {
+      pending = await OfflineModule.pendingCount();
+    } catch (err) {
+      console.error("Could not read offline queue:", err);
+    }
+    offlinePending.textContent = `${pending} pending sync`;
+    offlinePending.classList.toggle("has-pending", pending > 0);
+    syncNowBtn.style.display = online && pending > 0 ? "" : "none";
+  }
+
+  /**
+   * Replay queued offline check-ins and report conflicts
+   */
+  async function syncQueue() {
+    if (syncing || !OfflineModule.isOnline()) return;
+    syncing = true;
+    syncNowBtn.disabled = true;
+    try {
+      const { synced, conflicts } = await OfflineModule.replay();
+      if (synced > 0) showToast(`Synced ${synced} offline check-in(s)`, "success");
+      if (conflicts.length > 0) {
+        renderConflicts(conflicts);
+        showToast(`${conflicts.length} offline check-in(s) conflicted — see the list`, "warning");
+      }
+    } catch (err) {
+      console.error("Offline sync error:", err);
+      showToast("Could not sync offline check-ins. Will retry when online.", "error");
+    } finally {
+      syncing = false;
+      syncNowBtn.disabled = false;
+      updateOfflineStatus();
+    }
+  }
+
+  /**
+   * List offline check-ins that could not be applied
+   */
+  function renderConflicts(conflicts) {
+    const existing = offlineConflicts.querySelector("ul");
+    const items = conflicts
+      .map((c) => `
+        <li>
+          <strong>${escapeHtml(c.name)}</strong> (${escapeHtml(c.prn)}) — scanned offline at
+          ${new Date(c.at).toLocaleTimeString()}: ${escapeHtml(c.reason)}
+        </li>`)
+      .join("");
+
+    if (existing && offlineConflicts.style.display !== "none") {
+      existing.insertAdjacentHTML("beforeend", items);
+    } else {
+      offlineConflicts.innerHTML = `
+        <div class="offline-conflicts-header">
+          <span><i class="fas fa-exclamation-triangle"></i> Offline check-ins not applied</span>
+          <button class="modal-close" id="dismissConflicts">&times;</button>
+        </div>
+        <ul>${items}</ul>`;
+      offlineConflicts.querySelector("#dismissConflicts").addEventListener("click", () => {
+        offlineConflicts.style.display = "none";
+      });
+    }
+    offlineConflicts.style.display = "";
   }
 
   /**
@@ -96,6 +330,14 @@ const CheckInModule = (() => {
    * @param {string} decodedText - The decoded QR content (PRN)
    */
   function onScanSuccess(decodedText) {
+    handleScan(decodedText);
+  }
+
+  /**
+   * Shared entry point for camera and hardware-scanner codes
+   * @param {string} decodedText - The scanned code
+   */
+  function handleScan(decodedText) {
     // Cooldown to prevent rapid repeated scans of same code
     if (scanCooldown || decodedText === lastScannedCode) return;
 
@@ -109,8 +351,110 @@ const CheckInModule = (() => {
     // Play a subtle beep (optional)
     playBeep();
 
-    // Look up and check-in
-    lookupAndCheckIn(decodedText.trim());
+    // Verify the signature, then look up and check-in
+    verifyAndCheckIn(decodedText.trim());
+  }
+
+  // --- Hardware scanner (keyboard wedge) ---
+
+  /**
+   * Whether keystroke bursts should be treated as scans right now
+   */
+  function wedgeActive() {
+    return wedgeToggle.checked &&
+      document.getElementById("page-checkin").classList.contains("active") &&
+      !document.body.classList.contains("kiosk-active");
+  }
+
+  /**
+   * Collect keystrokes into bursts; a fast enough burst ending in Enter / Tab
+   * (or followed by a short pause) is a scan
+   * The first few keys of a burst always go through; later ones are held back
+   * and handed to the focused field if the burst turns out to be a person.
+   */
+  function onWedgeKeydown(e) {
+    if (!wedgeActive() || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const now = performance.now();
+    const inBurst = wedge.keys.length > 0 && now - wedge.lastAt <= WEDGE_MAX_GAP;
+
+    if (e.key === "Enter" || e.key === "Tab") {
+      // A pending burst is at most WEDGE_IDLE_SUBMIT old — the timer would have fired
+      if (wedge.keys.length >= WEDGE_MIN_LENGTH) {
+        e.preventDefault();
+        e.stopPropagation();
+        submitWedge();
+      } else {
+        flushWedge();
+      }
+      return;
+    }
+    if (e.key.length !== 1) return;  // Shift etc. — scanners send these mid-burst
+
+    clearTimeout(wedge.timer);
+    if (!inBurst) flushWedge();
+
+    if (wedge.keys.length === 0) wedge.target = e.target;
+    if (wedge.keys.length < WEDGE_PASS_KEYS) {
+      // Can't tell yet — let the key through and remember it
+      wedge.leaked += e.key;
+    } else {
+      e.preventDefault();
+      e.stopPropagation();
+    }
+    wedge.keys += e.key;
+    wedge.lastAt = now;
+
+    wedge.timer = setTimeout(() => {
+      if (wedge.keys.length >= WEDGE_MIN_LENGTH) submitWedge();
+      else flushWedge();
+    }, WEDGE_IDLE_SUBMIT);
+  }
+
+  /**
+   * Send a completed burst into the check-in flow
+   */
+  function submitWedge() {
+    const code = wedge.keys;
+    const { target, leaked } = wedge;
+
+    // Take back the keys that landed in a text field before the burst was recognised
+    if (isTextField(target) && target.value.endsWith(leaked)) {
+      target.value = target.value.slice(0, -leaked.length);
+      target.dispatchEvent(new Event("input", { bubbles: true }));
+    }
+
+    resetWedge();
+    handleScan(code.trim());
+  }
+
+  /**
+   * Not a scanner after all (a fast typist) — hand any held-back keys to the
+   * field they were typed in, then start over
+   */
+  function flushWedge() {
+    const held = wedge.keys.slice(wedge.leaked.length);
+    const target = wedge.target;
+    resetWedge();
+    if (!held || !isTextField(target)) return;
+    target.value += held;
+    target.dispatchEvent(new Event("input", { bubbles: true }));
+  }
+
+  function isTextField(el) {
+    return !!el && (el.tagName === "INPUT" || el.tagName === "TEXTAREA") && typeof el.value === "string";
+  }
+
+  function resetWedge() {
+    clearTimeout(wedge.timer);
+    wedge = { keys: "", lastAt: 0, leaked: "", target: null, timer: null };
+  }
+
+  /**
+   * Show whether scanner input is listening
+   */
+  function updateWedgeStatus() {
+    wedgeStatus.style.display = wedgeToggle.checked ? "" : "none";
   }
 
   /**
@@ -121,85 +465,521 @@ const CheckInModule = (() => {
   }
 
   /**
-   * Handle manual PRN entry
+   * Verify a scanned QR payload, then look up and check in (admin result card)
+   * @param {string} text - Decoded QR content
    */
-  function handleManualCheckIn() {
-    const prn = manualPRN.value.trim();
-    if (!prn) {
-      showToast("Please enter a PRN", "warning");
-      return;
-    }
-    lookupAndCheckIn(prn);
-    manualPRN.value = "";
+  async function verifyAndCheckIn(text) {
+    showState("loading");
+    showResult(await checkInScan(text));
   }
 
   /**
-   * Look up an attendee by PRN and perform check-in
+   * Look up an attendee by PRN and check in (admin result card)
    * @param {string} prn - The PRN to search for
+   * @param {"qr"|"manual"} source - How the PRN was entered (for the audit log)
+   * @param {Object} [opts] - Passed to checkInPRN
    */
-  async function lookupAndCheckIn(prn) {
+  async function lookupAndCheckIn(prn, source, opts) {
     showState("loading");
+    showResult(await checkInPRN(prn, source, opts));
+  }
 
+  /**
+   * Verify a scanned QR payload before touching attendee records, then check in
+   * Shared by the admin page and kiosk mode.
+   * @param {string} text - Decoded QR content
+   * @param {string} [source="qr"] - Recorded in the audit log
+   * @returns {Promise<Object>} Check-in result (see checkInPRN)
+   */
+  async function checkInScan(text, source = "qr") {
+    const eventId = EventsModule.getSelectedEventId();
+    if (!eventId) return { state: "noEvent" };
+
+    let verified;
+    try {
+      verified = await QRModule.verifyPayload(text, eventId);
+    } catch (err) {
+      console.error("QR verification error:", err);
+      return { state: "error", message: "Could not verify QR code. Please try again." };
+    }
+
+    switch (verified.status) {
+      case "valid":
+        return checkInPRN(verified.prn, source);
+      case "wrong-event":
+        return {
+          state: "wrongEvent",
+          prn: verified.prn,
+          source,
+          otherEvents: [{ id: verified.eventId, name: EventsModule.getEventName(verified.eventId) }]
+        };
+      case "altered":
+        return { state: "altered" };
+      default:
+        return { state: "forged" };
+    }
+  }
+
+  /**
+   * Look up an attendee by PRN and perform check-in
+   * @param {string} prn - The PRN to search for
+   * @param {string} source - How the PRN was entered (for the audit log)
+   * @param {{override?: boolean, reason?: string}} [opts] - override: check in even if
+   *   waitlisted (gives them a seat); reason is recorded in the audit log
+   * @returns {Promise<Object>} Result:
+   *   state       — "success" | "already" | "waitlisted" | "notFound" | "forged" | "altered"
+   *                 | "wrongEvent" | "noEvent" | "noRoster" | "error"
+   *   data        — attendee record (success / already / waitlisted)
+   *   ref         — attendee document (online results only)
+   *   sessionId   — session checked in to (null without sessions)
+   *   time        — original check-in time as a Date (already)
+   *   offline     — recorded against the cached roster, pending sync
+   *   otherDevice — another device checked them in a moment earlier
+   *   prn, otherEvents — wrongEvent: the PRN and the events it is registered for [{ id, name }]
+   *   message     — detail for notFound / error
+   */
+  async function checkInPRN(prn, source, opts = {}) {
     // Ensure an event is selected
     const eventId = EventsModule.getSelectedEventId();
-    if (!eventId) {
-      showToast("Please select an event first from the Events page!", "warning");
-      showState("default");
-      return;
+    if (!eventId) return { state: "noEvent" };
+
+    const sessionId = EventsModule.getActiveSessionId();
+
+    if (!OfflineModule.isOnline()) {
+      return checkInOffline(eventId, prn, sessionId);
     }
 
     try {
       // Query Firestore for this PRN within the selected event
-      const snapshot = await attendeesRef
-        .where("prn", "==", prn)
-        .where("eventId", "==", eventId)
-        .limit(1)
-        .get();
+      const snapshot = await withTimeout(
+        attendeesRef
+          .where("prn", "==", prn)
+          .where("eventId", "==", eventId)
+          .limit(1)
+          .get(),
+        LOOKUP_TIMEOUT
+      );
 
       if (snapshot.empty) {
-        showState("notFound");
-        showToast("No registration found for this QR code", "error");
-        return;
+        return findInOtherEvents(prn, eventId, source);
       }
 
       const doc = snapshot.docs[0];
       const data = doc.data();
 
-      // Check if already checked in
-      if (data.checkedIn) {
-        const checkInTime = data.checkInTime
-          ? data.checkInTime.toDate().toLocaleString()
-          : "Unknown time";
-        alreadyTime.textContent = `Checked in at: ${checkInTime}`;
-        renderAttendeeDetails(attendeeDetailsAlready, data);
-        showState("already");
-        showToast(`${data.name} is already checked in!`, "warning");
-        return;
+      // Check if already checked in (to this session)
+      if (isCheckedIn(data, sessionId)) {
+        const time = checkInTimeOf(data, sessionId);
+        return { state: "already", data, ref: doc.ref, sessionId, time: time ? time.toDate() : null };
       }
 
-      // Mark as checked in
-      await doc.ref.update({
-        checkedIn: true,
-        checkInTime: firebase.firestore.FieldValue.serverTimestamp()
-      });
+      if (data.waitlisted && !opts.override) {
+        return { state: "waitlisted", prn, source, data, ref: doc.ref, sessionId };
+      }
+
+      // Mark as checked in — atomically, so only one of several scanners wins
+      const result = await withTimeout(
+        AttendanceModule.checkIn(doc.ref, { sessionId, source, override: opts.override, reason: opts.reason }),
+        LOOKUP_TIMEOUT
+      );
 
-      // Show success
-      renderAttendeeDetails(attendeeDetails, data);
-      showState("success");
-      showToast(`${data.name} checked in successfully!`, "success");
+      if (result.status === "missing") {
+        return { state: "notFound", message: "This registration was just removed" };
+      }
+
+      if (result.status === "already") {
+        // Another device got there first — report its check-in
+        const time = checkInTimeOf(result.data, sessionId);
+        return {
+          state: "already",
+          data: result.data,
+          ref: doc.ref,
+          sessionId,
+          time: time ? time.toDate() : null,
+          otherDevice: !!result.data.checkInDevice && result.data.checkInDevice !== OfflineModule.deviceId
+        };
+      }
+
+      if (result.status === "waitlisted") {
+        return { state: "waitlisted", prn, source, data: result.data, ref: doc.ref, sessionId };
+      }
+
+      OfflineModule.markCheckedIn(doc.id, sessionId).catch(() => {});
+      return {
+        state: "success",
+        data: { ...result.data, checkedIn: true, checkedOut: false, waitlisted: false },
+        ref: doc.ref,
+        sessionId
+      };
 
     } catch (err) {
+      if (isConnectivityError(err)) {
+        // Signal dropped mid-lookup — the device stamp makes a late write harmless
+        return checkInOffline(eventId, prn, sessionId);
+      }
       console.error("Check-in error:", err);
-      showState("notFound");
-      showToast("Error during check-in. Please try again.", "error");
+      return { state: "error", message: "Error during check-in. Please try again." };
+    }
+  }
+
+  /**
+   * Not registered for the selected event — look the PRN up across all events,
+   * so volunteers can tell "wrong event" apart from "not registered at all"
+   * @returns {Promise<Object>} wrongEvent or notFound result (see checkInPRN)
+   */
+  async function findInOtherEvents(prn, eventId, source) {
+    try {
+      const snapshot = await withTimeout(attendeesRef.where("prn", "==", prn).get(), LOOKUP_TIMEOUT);
+      const others = snapshot.docs.map((doc) => doc.data()).filter((a) => a.eventId !== eventId);
+      if (others.length > 0) {
+        return {
+          state: "wrongEvent",
+          prn,
+          source,
+          data: others[0],
+          otherEvents: others.map((a) => ({ id: a.eventId, name: EventsModule.getEventName(a.eventId) }))
+        };
+      }
+    } catch (err) {
+      console.error("Cross-event lookup failed:", err);
+    }
+    return { state: "notFound", message: "No registration found for this QR code" };
+  }
+
+  /**
+   * Check in against the cached roster and queue it for sync
+   * @param {string} eventId
+   * @param {string} prn
+   * @param {string|null} sessionId
+   * @returns {Promise<Object>} Check-in result (see checkInPRN)
+   */
+  async function checkInOffline(eventId, prn, sessionId) {
+    try {
+      if (!(await OfflineModule.hasRoster(eventId))) {
+        return { state: "noRoster", message: "No connection and no offline roster for this event" };
+      }
+
+      const record = await OfflineModule.findAttendee(eventId, prn);
+      if (!record) {
+        return { state: "notFound", message: "No registration found in the offline roster" };
+      }
+
+      if (isCheckedIn(record, sessionId)) {
+        const time = checkInTimeOf(record, sessionId);
+        return { state: "already", data: record, sessionId, time: time ? new Date(time) : null, offline: true };
+      }
+
+      // Overriding gives away a seat — only done online, where seats are counted
+      if (record.waitlisted) {
+        return { state: "waitlisted", prn, data: record, sessionId, offline: true };
+      }
+
+      await OfflineModule.queueCheckIn(record, sessionId);
+      return { state: "success", data: record, sessionId, offline: true };
+    } catch (err) {
+      console.error("Offline check-in error:", err);
+      return { state: "error", message: "Error during offline check-in. Please try again." };
+    } finally {
+      updateOfflineStatus();
+    }
+  }
+
+  /**
+   * Render a check-in result on the admin result card
+   * @param {Object} result - From checkInScan / checkInPRN
+   */
+  function showResult(result) {
+    const { data, sessionId } = result;
+    const where = sessionId ? ` to ${EventsModule.getSessionName(sessionId)}` : "";
+
+    switch (result.state) {
+      case "success":
+        renderAttendeeDetails(attendeeDetails, data, sessionId);
+        successOfflineNote.style.display = result.offline ? "" : "none";
+        showState("success");
+        if (result.ref) showActions(result);
+        showToast(
+          result.offline
+            ? `${data.name} checked in offline — will sync when online`
+            : `${data.name} checked in successfully!`,
+          "success"
+        );
+        break;
+      case "already":
+        alreadyTime.textContent = `Checked in${where} at: ${result.time ? result.time.toLocaleString() : "Unknown time"}`;
+        if (result.otherDevice) alreadyTime.textContent += " (on another device)";
+        if (data.checkInStation || data.checkInBy) {
+          alreadyTime.textContent += ` · ${[data.checkInStation, data.checkInBy].filter(Boolean).join(", ")}`;
+        }
+        if (data.checkedOut && data.checkOutTime) {
+          alreadyTime.textContent += ` · Checked out at: ${data.checkOutTime.toDate().toLocaleString()}`;
+        }
+        renderAttendeeDetails(attendeeDetailsAlready, data, sessionId);
+        showState("already");
+        if (result.ref) showActions(result);
+        showToast(`${data.name} is already checked in${where}!`, "warning");
+        break;
+      case "notFound":
+        showState("notFound");
+        showToast(result.message, "error");
+        break;
+      case "wrongEvent": {
+        const who = data ? `${data.name} (${result.prn})` : `PRN ${result.prn}`;
+        const names = result.otherEvents.map((e) => (e.name ? `"${e.name}"` : "a different event"));
+        wrongEventMsg.textContent = `${who} is registered for ${[...new Set(names)].join(", ")}, not this one.`;
+        showState("wrongEvent");
+        showWrongEventActions(result);
+        showToast("Registered for another event", "error");
+        break;
+      }
+      case "waitlisted":
+        waitlistMsg.textContent = result.offline
+          ? `${data.name} is on the waitlist and has no seat yet. Waitlisted attendees can only be admitted while online.`
+          : `${data.name} is on the waitlist and has no seat yet. Promote them from the dashboard when a seat frees up, or check them in anyway.`;
+        renderAttendeeDetails(attendeeDetailsWaitlisted, data, sessionId);
+        showState("waitlisted");
+        lastWaitlisted = result.offline ? null : { prn: result.prn, source: result.source, data };
+        waitlistOverrideBtn.style.display = lastWaitlisted ? "" : "none";
+        showToast(`${data.name} is on the waitlist`, "warning");
+        break;
+      case "altered":
+        showState("altered");
+        showToast("QR code has been tampered with", "error");
+        break;
+      case "forged":
+        showState("forged");
+        showToast("Not a valid event QR code", "error");
+        break;
+      case "noEvent":
+        showState("default");
+        showToast("Please select an event first from the Events page!", "warning");
+        break;
+      case "noRoster":
+        showState("default");
+        showToast(result.message, "error");
+        break;
+      default:
+        showState("notFound");
+        showToast(result.message, "error");
+    }
+  }
+
+  /**
+   * Offer a switch to each event the attendee is registered for, or a walk-in
+   * registration for the selected one
+   */
+  function showWrongEventActions(result) {
+    lastMiss = { prn: result.prn, source: result.source, data: result.data || null, otherEvents: result.otherEvents };
+    wrongEventActions.innerHTML = `
+      ${result.otherEvents
+        .filter((e) => e.name)  // Events that no longer exist can't be switched to
+        .map((e) => `
+        <button class="btn btn-sm btn-outline" data-action="switch" data-event-id="${escapeHtml(e.id)}">
+          <i class="fas fa-exchange-alt"></i> Switch to ${escapeHtml(e.name)} &amp; Check In
+        </button>`)
+        .join("")}
+      <button class="btn btn-sm btn-primary" data-action="walk-in">
+        <i class="fas fa-user-plus"></i> Register as Walk-In Here
+      </button>`;
+  }
+
+  /**
+   * Switch event (and check in there) or open a prefilled walk-in registration
+   */
+  async function handleWrongEventAction(e) {
+    const btn = e.target.closest("button[data-action]");
+    if (!btn || !lastMiss) return;
+    const { prn, source, otherEvents } = lastMiss;
+
+    if (btn.dataset.action === "switch") {
+      const target = otherEvents.find((evt) => evt.id === btn.dataset.eventId);
+      EventsModule.selectEvent(target.id, target.name);
+      activate();
+      lookupAndCheckIn(prn, source);
+      return;
+    }
+
+    // Walk-in: reuse the details from the other registration where we have them
+    let data = lastMiss.data;
+    if (!data) {
+      try {
+        const doc = await attendeesRef.doc(attendeeDocId(otherEvents[0].id, prn)).get();
+        data = doc.exists ? doc.data() : null;
+      } catch (err) {
+        console.error("Could not load the other registration:", err);
+      }
+    }
+    AttendeesModule.open(null, data || { prn });
+  }
+
+  /**
+   * Check in the waitlisted attendee on the result card anyway (asks for a reason)
+   */
+  async function handleWaitlistOverride() {
+    if (!lastWaitlisted) return;
+    const { prn, source, data } = lastWaitlisted;
+
+    const reason = prompt(`${data.name} is on the waitlist. Why are you admitting them? (e.g. seat freed at the door)`);
+    if (reason === null) return;
+    if (!reason.trim()) {
+      showToast("A reason is required to admit a waitlisted attendee", "warning");
+      return;
+    }
+    lookupAndCheckIn(prn, source, { override: true, reason: reason.trim() });
+  }
+
+  /**
+   * Offer undo / check-out for the attendee on the result card
+   * @param {{ref, data, sessionId}} result
+   */
+  function showActions(result) {
+    lastResult = { ref: result.ref, data: result.data, sessionId: result.sessionId };
+    checkOutBtn.style.display = result.data.checkedOut ? "none" : "";
+    resultActions.style.display = "";
+
+    // Guest count, for attendees allowed to bring someone
+    const allowed = result.data.guestsAllowed || 0;
+    guestRecorder.style.display = allowed > 0 ? "" : "none";
+    if (allowed > 0) setGuestCount(result.data.guestsArrived || 0);
+  }
+
+  /**
+   * Set the guest count on the result card (0 … guestsAllowed)
+   */
+  function setGuestCount(count) {
+    if (!lastResult) return;
+    const allowed = lastResult.data.guestsAllowed || 0;
+    guestCount = Math.max(0, Math.min(allowed, count));
+    guestCountEl.textContent = guestCount;
+    guestMaxEl.textContent = `of ${allowed}`;
+    guestMinusBtn.disabled = guestCount === 0;
+    guestPlusBtn.disabled = guestCount === allowed;
+  }
+
+  /**
+   * Save how many guests arrived with the attendee on the result card
+   */
+  async function handleSaveGuests() {
+    if (!lastResult) return;
+    const { ref, data, sessionId } = lastResult;
+
+    saveGuestsBtn.disabled = true;
+    try {
+      const result = await AttendanceModule.recordGuests(ref, guestCount, { sessionId, source: "checkin" });
+      if (result.status === "missing") {
+        showToast(`${data.name} has been removed from the event`, "error");
+      } else if (result.status === "not-checked-in") {
+        showToast(`${data.name} is no longer checked in — guests not recorded`, "warning");
+      } else {
+        data.guestsAllowed = result.data.guestsAllowed || 0;
+        data.guestsArrived = result.count;
+        if (result.count !== guestCount) {
+          showToast(`${data.name} is only allowed ${data.guestsAllowed} guest(s) — ${result.count} recorded`, "warning");
+        } else {
+          showToast(`${data.name}: ${result.count} guest(s) recorded`, "success");
+        }
+        setGuestCount(result.count);
+      }
+    } catch (err) {
+      console.error("Guest count error:", err);
+      showToast("Could not save the guest count. Are you online?", "error");
+    } finally {
+      saveGuestsBtn.disabled = false;
     }
   }
 
+  /**
+   * Undo the check-in shown on the result card (asks for a reason)
+   */
+  async function handleUndoCheckIn() {
+    if (!lastResult) return;
+    const { ref, data, sessionId } = lastResult;
+
+    const reason = prompt(`Why are you undoing ${data.name}'s check-in? (e.g. wrong person scanned)`);
+    if (reason === null) return;
+    if (!reason.trim()) {
+      showToast("A reason is required to undo a check-in", "warning");
+      return;
+    }
+
+    undoCheckInBtn.disabled = true;
+    try {
+      const result = await AttendanceModule.undoCheckIn(ref, { sessionId, source: "checkin", reason: reason.trim() });
+      showState("default");
+      if (result.status === "missing") {
+        showToast(`${data.name} has been removed from the event`, "error");
+      } else if (result.status === "not-checked-in") {
+        showToast(`${data.name} is no longer checked in — nothing to undo`, "warning");
+      } else {
+        showToast(`Check-in undone for ${data.name}`, "success");
+      }
+    } catch (err) {
+      console.error("Undo check-in error:", err);
+      showToast("Could not undo the check-in. Are you online?", "error");
+    } finally {
+      undoCheckInBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Check out the attendee shown on the result card
+   */
+  async function handleCheckOut() {
+    if (!lastResult) return;
+    const { ref, data, sessionId } = lastResult;
+
+    const reason = prompt(`Check out ${data.name}? Optionally add a note:`, "");
+    if (reason === null) return;
+
+    checkOutBtn.disabled = true;
+    try {
+      const result = await AttendanceModule.checkOut(ref, { sessionId, source: "checkin", reason: reason.trim() });
+      showState("default");
+      if (result.status === "missing") {
+        showToast(`${data.name} has been removed from the event`, "error");
+      } else if (result.status === "not-checked-in") {
+        showToast(`${data.name} is no longer checked in`, "warning");
+      } else if (result.status === "already") {
+        showToast(`${data.name} has already checked out`, "info");
+      } else {
+        showToast(`${data.name} checked out`, "success");
+      }
+    } catch (err) {
+      console.error("Check-out error:", err);
+      showToast("Could not check out. Are you online?", "error");
+    } finally {
+      checkOutBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Reject if a Firestore call doesn't settle in time (bad signal hangs instead of failing)
+   */
+  function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(Object.assign(new Error("Request timed out"), { code: "timeout" })), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Whether an error means Firestore couldn't be reached
+   */
+  function isConnectivityError(err) {
+    return err.code === "unavailable" || err.code === "timeout" || /offline/i.test(err.message || "");
+  }
+
   /**
    * Render attendee details in the given container
    */
-  function renderAttendeeDetails(container, data) {
+  function renderAttendeeDetails(container, data, sessionId = null) {
     container.innerHTML = `
+      ${sessionId ? `
+      <div class="detail-row">
+        <span class="detail-label">Session</span>
+        <span class="detail-value">${escapeHtml(EventsModule.getSessionName(sessionId))}</span>
+      </div>` : ""}
       <div class="detail-row">
         <span class="detail-label">Name</span>
         <span class="detail-value">${escapeHtml(data.name)}</span>
@@ -220,12 +1000,25 @@ const CheckInModule = (() => {
         <span class="detail-label">Year</span>
         <span class="detail-value">${escapeHtml(data.year)}</span>
       </div>
+      ${data.guestsAllowed ? `
+      <div class="detail-row">
+        <span class="detail-label">Guests allowed</span>
+        <span class="detail-value">${data.guestsAllowed}</span>
+      </div>` : ""}
+      ${Object.entries(data.custom || {})
+        .filter(([, value]) => value)
+        .map(([label, value]) => `
+      <div class="detail-row">
+        <span class="detail-label">${escapeHtml(label)}</span>
+        <span class="detail-value">${escapeHtml(value)}</span>
+      </div>`)
+        .join("")}
     `;
   }
 
   /**
    * Show a specific result state, hide all others
-   * @param {"default"|"loading"|"success"|"already"|"notFound"} state
+   * @param {"default"|"loading"|"success"|"already"|"notFound"|"forged"|"altered"|"wrongEvent"|"waitlisted"} state
    */
   function showState(state) {
     resultDefault.style.display  = state === "default"  ? "" : "none";
@@ -233,6 +1026,17 @@ const CheckInModule = (() => {
     resultSuccess.style.display  = state === "success"  ? "" : "none";
     resultAlready.style.display  = state === "already"  ? "" : "none";
     resultNotFound.style.display = state === "notFound" ? "" : "none";
+    resultForged.style.display   = state === "forged"   ? "" : "none";
+    resultAltered.style.display  = state === "altered"  ? "" : "none";
+    resultWrongEvent.style.display = state === "wrongEvent" ? "" : "none";
+    resultWaitlisted.style.display = state === "waitlisted" ? "" : "none";
+
+    // Undo / check-out / guests only apply to the result just shown
+    resultActions.style.display = "none";
+    guestRecorder.style.display = "none";
+    if (state !== "wrongEvent") lastMiss = null;
+    lastWaitlisted = null;
+    lastResult = null;
   }
 
   /**
@@ -263,5 +1067,5 @@ const CheckInModule = (() => {
   }
 
   // Public API
-  return { init, stopScanner };
+  return { init, stopScanner, activate, checkInScan };
 })();
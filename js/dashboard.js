@@ -4,10 +4,20 @@
  * ============================================
  *
  * Handles:
- * - Loading all attendee records from Firestore
- * - Displaying real-time stats (total, checked-in, pending, rate)
- * - Searchable & filterable attendee table
- * - QR code modal view per attendee
+ * - Live subscription to the selected event's attendees (onSnapshot), patching
+ *   stats and changed rows in place and briefly highlighting new arrivals
+ * - Displaying real-time stats (total, checked-in, pending, rate, headcount incl. guests)
+ * - Capacity usage and promoting attendees from the waitlist, in waitlist order
+ * - Searchable & filterable attendee table (with optional custom-field columns),
+ *   paginated so large events only render one page of rows at a time
+ * - Sortable columns and advanced filters (see filters.js); the whole view is
+ *   kept in the URL so it can be shared, and CSV export / badges follow it
+ * - Session selector + per-session attendance matrix for events with sessions
+ * - QR code modal view per attendee (rendered on demand from qrPayload)
+ * - Edit button per row (opens the attendee drawer)
+ * - Undo check-in / check out per row, and the attendee's audit log
+ * - Check-in throughput per station / operator (see throughput.js)
+ * - Arrivals timeline and per-year check-in rate charts for the current view (see charts.js)
  * - CSV export of attendee list with check-in status
  */
 
@@ -17,6 +27,13 @@ const DashboardModule = (() => {
   const dashCheckedIn       = document.getElementById("dashCheckedIn");
   const dashPending         = document.getElementById("dashPending");
   const dashPercentage      = document.getElementById("dashPercentage");
+  const dashHeadcount       = document.getElementById("dashHeadcount");
+  const dashHeadcountLabel  = document.getElementById("dashHeadcountLabel");
+  const dashCapacityCard    = document.getElementById("dashCapacityCard");
+  const dashCapacity        = document.getElementById("dashCapacity");
+  const dashCapacityLabel   = document.getElementById("dashCapacityLabel");
+  const promoteBtn          = document.getElementById("promoteBtn");
+  const waitlistFilterBtn   = document.getElementById("waitlistFilterBtn");
   const searchInput         = document.getElementById("searchInput");
   const attendeesBody       = document.getElementById("attendeesBody");
   const emptyState          = document.getElementById("emptyState");
@@ -27,24 +44,71 @@ const DashboardModule = (() => {
   const qrModalCode         = document.getElementById("qrModalCode");
   const qrModalPRN          = document.getElementById("qrModalPRN");
   const closeQrModal        = document.getElementById("closeQrModal");
-  const filterBtns          = document.querySelectorAll(".filter-btn");
+  const filterBtns          = document.querySelectorAll(".filter-btn[data-filter]");
+  const columnsBtn          = document.getElementById("columnsBtn");
+  const columnsMenu         = document.getElementById("columnsMenu");
+  const attendeesTable      = document.getElementById("attendeesTable");
+  const dashSession         = document.getElementById("dashSession");
+  const logModal            = document.getElementById("logModal");
+  const logModalTitle       = document.getElementById("logModalTitle");
+  const logModalBody        = document.getElementById("logModalBody");
+  const closeLogModal       = document.getElementById("closeLogModal");
+  const liveIndicator       = document.getElementById("liveIndicator");
+  const pageSizeSelect      = document.getElementById("pageSize");
+  const pagerInfo           = document.getElementById("pagerInfo");
+  const pagerPrev           = document.getElementById("pagerPrev");
+  const pagerNext           = document.getElementById("pagerNext");
+  const shareViewBtn        = document.getElementById("shareViewBtn");
+
+  const ARRIVAL_HIGHLIGHT = 4000;    // How long a new arrival's row stays highlighted (ms)
+  const SEARCH_DEBOUNCE = 200;       // ms
+  const PAGE_SIZE_KEY = "tfn_page_size";
 
   let allAttendees = [];   // Full cached list
   let currentFilter = "all";
+  let customFields = [];   // Custom field names of the selected event
+  let visibleCustomFields = new Set();
+  let sessions = [];       // Sessions of the selected event
+  let viewSessionId = "";  // Session the stats/status reflect ("" = whole event)
+  let unsubscribe = null;  // Stops the live listener (null when not subscribed)
+  let liveEventId = null;  // Event the listener is subscribed to
+  let arrivals = new Map(); // Attendee ID → timer removing their highlight
+  let viewRows = [];       // Attendees matching the search / filter, in table order
+  let page = 0;            // Zero-based page of viewRows shown in the table
+  let pageSize = Number(localStorage.getItem(PAGE_SIZE_KEY)) || 50;
+  let searchTimer = null;
+  let sharedEventId = null;   // Event named in the URL the page was opened with
 
   /**
    * Initialize event listeners
    */
   function init() {
     refreshBtn.addEventListener("click", loadDashboard);
+
+    // Follow the selected event while the dashboard is live
+    EventsModule.onEventChange(() => {
+      if (unsubscribe) loadDashboard();
+    });
     exportBtn.addEventListener("click", exportCSV);
+    promoteBtn.addEventListener("click", handlePromote);
     closeQrModal.addEventListener("click", () => (qrModal.style.display = "none"));
     qrModal.addEventListener("click", (e) => {
       if (e.target === qrModal) qrModal.style.display = "none";
     });
 
+    closeLogModal.addEventListener("click", () => (logModal.style.display = "none"));
+    logModal.addEventListener("click", (e) => {
+      if (e.target === logModal) logModal.style.display = "none";
+    });
+
     // Search
-    searchInput.addEventListener("input", renderTable);
+    searchInput.addEventListener("input", () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => {
+        page = 0;
+        renderTable();
+      }, SEARCH_DEBOUNCE);
+    });
 
     // Filter buttons
     filterBtns.forEach((btn) => {
@@ -52,15 +116,139 @@ const DashboardModule = (() => {
         filterBtns.forEach((b) => b.classList.remove("active"));
         btn.classList.add("active");
         currentFilter = btn.dataset.filter;
+        page = 0;
         renderTable();
       });
     });
+
+    // Session whose attendance the stats, filter and status column show
+    dashSession.addEventListener("change", () => {
+      viewSessionId = dashSession.value;
+      page = 0;
+      updateStats();
+      renderTable();
+    });
+
+    // Optional custom-field columns
+    columnsBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      columnsMenu.classList.toggle("open");
+    });
+    columnsMenu.addEventListener("click", (e) => e.stopPropagation());
+    columnsMenu.addEventListener("change", (e) => {
+      const field = e.target.dataset.column;
+      if (field === undefined) return;
+      e.target.checked ? visibleCustomFields.add(field) : visibleCustomFields.delete(field);
+      renderTable();
+    });
+    document.addEventListener("click", () => columnsMenu.classList.remove("open"));
+
+    // Paging
+    pageSizeSelect.value = String(pageSize);
+    pageSizeSelect.addEventListener("change", () => {
+      const firstShown = page * pageSize;
+      pageSize = Number(pageSizeSelect.value);
+      localStorage.setItem(PAGE_SIZE_KEY, pageSize);
+      page = Math.floor(firstShown / pageSize);   // Keep the top row in view
+      renderPage();
+    });
+    pagerPrev.addEventListener("click", () => goToPage(page - 1));
+    pagerNext.addEventListener("click", () => goToPage(page + 1));
+
+    // Row buttons: one delegated listener for the whole table
+    attendeesBody.addEventListener("click", handleRowClick);
+
+    // Sorting + advanced filters
+    FiltersModule.init(() => {
+      page = 0;
+      renderTable();
+    });
+    shareViewBtn.addEventListener("click", copyViewLink);
+
+    readURLState();
+  }
+
+  /**
+   * Restore search, status filter, session, advanced filters and sort from the URL
+   * (a link copied from another coordinator's dashboard)
+   */
+  function readURLState() {
+    const params = new URLSearchParams(location.search);
+    if (!params.has("event")) return;
+
+    sharedEventId = params.get("event");
+    searchInput.value = params.get("q") || "";
+    viewSessionId = params.get("session") || "";
+    const status = params.get("status") || "all";
+    const statusBtn = [...filterBtns].find((btn) => btn.dataset.filter === status);
+    if (statusBtn) {
+      filterBtns.forEach((b) => b.classList.toggle("active", b === statusBtn));
+      currentFilter = status;
+    }
+    FiltersModule.fromParams(params);
+  }
+
+  /**
+   * Keep the URL in step with the current view (without adding history entries)
+   */
+  function writeURLState() {
+    if (!liveEventId) return;
+    const params = new URLSearchParams({ event: liveEventId });
+    if (viewSessionId) params.set("session", viewSessionId);
+    if (currentFilter !== "all") params.set("status", currentFilter);
+    if (searchInput.value.trim()) params.set("q", searchInput.value.trim());
+    FiltersModule.toParams(params);
+    history.replaceState(null, "", `${location.pathname}?${params}`);
+  }
+
+  function clearURLState() {
+    if (location.search) history.replaceState(null, "", location.pathname);
+  }
+
+  /**
+   * Select the event of a shared view link (call once events are loaded)
+   * @returns {boolean} Whether the page was opened with a dashboard view link
+   */
+  function restoreView() {
+    if (!sharedEventId) return false;
+    const eventId = sharedEventId;
+    sharedEventId = null;
+
+    const name = EventsModule.getEventName(eventId);
+    if (!name) {
+      showToast("The shared view's event no longer exists", "warning");
+      clearURLState();
+      return false;
+    }
+    if (eventId !== EventsModule.getSelectedEventId()) EventsModule.selectEvent(eventId, name);
+    return true;
+  }
+
+  /**
+   * Copy a link to the current view to the clipboard
+   */
+  async function copyViewLink() {
+    if (!liveEventId) {
+      showToast("Open an event's dashboard first", "warning");
+      return;
+    }
+    writeURLState();
+    try {
+      await navigator.clipboard.writeText(location.href);
+      showToast("View link copied to clipboard", "success");
+    } catch (err) {
+      console.error("Clipboard write failed:", err);
+      window.prompt("Copy this link:", location.href);
+    }
   }
 
   /**
-   * Load all attendee data from Firestore
+   * Subscribe to the selected event's attendees (replacing any earlier listener)
+   * The first snapshot fills the table; later ones patch it as other devices write.
    */
-  async function loadDashboard() {
+  function loadDashboard() {
+    stop();
+
     // Ensure an event is selected
     const eventId = EventsModule.getSelectedEventId();
     if (!eventId) {
@@ -68,26 +256,192 @@ const DashboardModule = (() => {
       allAttendees = [];
       updateStats();
       renderTable();
+      ThroughputModule.watch(null);
       return;
     }
 
-    try {
-      const snapshot = await attendeesRef
-        .where("eventId", "==", eventId)
-        .orderBy("createdAt", "desc")
-        .get();
-      allAttendees = snapshot.docs.map((doc) => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+    let first = true;
+    liveEventId = eventId;
+    unsubscribe = attendeesRef
+      .where("eventId", "==", eventId)
+      .orderBy("createdAt", "desc")
+      .onSnapshot(
+        (snapshot) => {
+          if (first) {
+            first = false;
+            applyFirstSnapshot(snapshot);
+          } else {
+            applyChanges(snapshot);
+          }
+        },
+        (err) => {
+          console.error("Dashboard live update error:", err);
+          showToast("Live updates stopped — click Refresh to reconnect", "error");
+          stop();
+        }
+      );
+  }
 
-      updateStats();
-      renderTable();
-      showToast(`Loaded ${allAttendees.length} records`, "info");
-    } catch (err) {
-      console.error("Dashboard load error:", err);
-      showToast("Failed to load data from Firebase", "error");
+  /**
+   * Stop live updates (leaving the page or switching events)
+   */
+  function stop() {
+    if (unsubscribe) unsubscribe();
+    unsubscribe = null;
+    liveEventId = null;
+    ThroughputModule.stop();
+    arrivals.forEach((timer) => clearTimeout(timer));
+    arrivals.clear();
+    liveIndicator.style.display = "none";
+    clearURLState();
+  }
+
+  /**
+   * Attendee record from a snapshot document
+   * Pending server timestamps (our own writes) show an estimate until confirmed.
+   */
+  function toRecord(doc) {
+    return { id: doc.id, ...doc.data({ serverTimestamps: "estimate" }) };
+  }
+
+  function applyFirstSnapshot(snapshot) {
+    allAttendees = snapshot.docs.map(toRecord);
+    updateCustomFields();
+    updateSessions();
+    updateStats();
+    renderTable();
+    ThroughputModule.watch(liveEventId);
+    liveIndicator.style.display = "";
+    showToast(`Loaded ${allAttendees.length} records`, "info");
+  }
+
+  /**
+   * Apply a later snapshot: stats always, table rows in place where possible
+   */
+  function applyChanges(snapshot) {
+    const changes = snapshot.docChanges();
+    if (changes.length === 0) return;   // Metadata only (e.g. a write confirmed)
+
+    const sessionId = viewSessionId || null;
+    const before = new Map(allAttendees.map((a) => [a.id, a]));
+    allAttendees = snapshot.docs.map(toRecord);
+    const byId = new Map(allAttendees.map((a) => [a.id, a]));
+
+    let structural = false;   // Rows added / removed, or waitlist places shifted
+    const modified = [];
+    changes.forEach((change) => {
+      const id = change.doc.id;
+      const now = byId.get(id);
+      const old = before.get(id);
+      // Joining or leaving the waitlist renumbers everyone behind them
+      if (change.type !== "modified" || !!now.waitlisted !== !!old.waitlisted) structural = true;
+      else modified.push(id);
+
+      if (now && isCheckedIn(now, sessionId) && !(old && isCheckedIn(old, sessionId))) {
+        highlightArrival(id);
+      }
+    });
+
+    if (structural) updateCustomFields();
+    updateStats();
+
+    // Same rows in the same order: re-render just the changed ones on this page
+    const filtered = getFilteredAttendees();
+    const start = page * pageSize;
+    const pageRows = filtered.slice(start, start + pageSize);
+    const rows = [...attendeesBody.children];
+    const sameRows = !structural && filtered.length === viewRows.length &&
+      filtered.every((a, i) => viewRows[i].id === a.id) &&
+      rows.length === pageRows.length && pageRows.every((a, i) => rows[i].dataset.id === a.id);
+    if (!sameRows) {
+      renderTable();   // Stays on the current page
+      return;
     }
+    viewRows = filtered;
+    renderCharts(filtered);
+    const positions = waitlistPositions();
+    modified.forEach((id) => {
+      const i = pageRows.findIndex((a) => a.id === id);
+      if (i !== -1) rows[i].replaceWith(buildRow(pageRows[i], start + i, positions));
+    });
+  }
+
+  /**
+   * Highlight a newly checked-in attendee's row for a few seconds
+   */
+  function highlightArrival(id) {
+    clearTimeout(arrivals.get(id));
+    arrivals.set(id, setTimeout(() => {
+      arrivals.delete(id);
+      const tr = attendeesBody.querySelector(`tr[data-id="${CSS.escape(id)}"]`);
+      if (tr) tr.classList.remove("row-arrived");
+    }, ARRIVAL_HIGHLIGHT));
+  }
+
+  /**
+   * Collect the event's custom fields (event list + any found on attendees)
+   */
+  function updateCustomFields() {
+    const evt = EventsModule.getSelectedEvent();
+    const fields = new Set((evt && evt.customFields) || []);
+    allAttendees.forEach((a) => Object.keys(a.custom || {}).forEach((f) => fields.add(f)));
+    customFields = [...fields];
+
+    // Drop columns that no longer exist for this event
+    visibleCustomFields = new Set([...visibleCustomFields].filter((f) => fields.has(f)));
+
+    FiltersModule.update(allAttendees, customFields);
+
+    columnsBtn.style.display = customFields.length ? "" : "none";
+    columnsMenu.innerHTML = customFields
+      .map((f) => `
+        <label class="columns-option">
+          <input type="checkbox" data-column="${escapeHtml(f)}" ${visibleCustomFields.has(f) ? "checked" : ""} />
+          ${escapeHtml(f)}
+        </label>`)
+      .join("");
+  }
+
+  /**
+   * Refresh the session selector for the selected event
+   */
+  function updateSessions() {
+    sessions = EventsModule.getSessions();
+    if (!sessions.some((session) => session.id === viewSessionId)) viewSessionId = "";
+
+    dashSession.style.display = sessions.length ? "" : "none";
+    dashSession.innerHTML = '<option value="">Whole event</option>' + sessions
+      .map((session) => `<option value="${escapeHtml(session.id)}">${escapeHtml(session.name)}</option>`)
+      .join("");
+    dashSession.value = viewSessionId;
+  }
+
+  /**
+   * Rebuild the header cells for visible custom-field and session columns
+   */
+  function renderCustomHeaders() {
+    attendeesTable.querySelectorAll(".custom-col").forEach((el) => el.remove());
+
+    const statusTh = attendeesTable.querySelector("thead th[data-col='status']");
+    const statusCol = attendeesTable.querySelector("colgroup col[data-col='status']");
+    const extraColumns = [
+      ...[...visibleCustomFields].map((f) => ({ label: f, width: "9%", sort: `custom:${f}` })),
+      ...sessions.map((session) => ({ label: session.name, width: "6%", sort: `session:${session.id}` }))
+    ];
+    extraColumns.forEach(({ label, width, sort }) => {
+      const th = document.createElement("th");
+      th.className = "custom-col";
+      th.textContent = label;
+      th.title = label;
+      th.dataset.sort = sort;
+      statusTh.before(th);
+
+      const col = document.createElement("col");
+      col.className = "custom-col";
+      col.style.width = width;
+      statusCol.before(col);
+    });
+    FiltersModule.renderSortHeaders();
   }
 
   /**
@@ -95,101 +449,305 @@ const DashboardModule = (() => {
    */
   function updateStats() {
     const total = allAttendees.length;
-    const checkedIn = allAttendees.filter((a) => a.checkedIn).length;
+    const present = allAttendees.filter((a) => isCheckedIn(a, viewSessionId || null));
+    const checkedIn = present.length;
     const pending = total - checkedIn;
     const pct = total > 0 ? Math.round((checkedIn / total) * 100) : 0;
+    const guests = present.reduce((sum, a) => sum + (a.guestsArrived || 0), 0);
 
     dashTotalRegistered.textContent = total;
     dashCheckedIn.textContent = checkedIn;
     dashPending.textContent = pending;
     dashPercentage.textContent = `${pct}%`;
+    dashHeadcount.textContent = checkedIn + guests;
+    dashHeadcountLabel.textContent = `Headcount (incl. ${guests} guest${guests === 1 ? "" : "s"})`;
+
+    // Capacity: confirmed seats vs. capacity, and who is waiting
+    const seats = CapacityModule.seatState(EventsModule.getSelectedEvent(), allAttendees);
+    const limited = seats.capacity !== null;
+    const showWaitlist = limited || seats.waitlisted > 0;
+    dashCapacityCard.style.display = limited ? "" : "none";
+    waitlistFilterBtn.style.display = showWaitlist ? "" : "none";
+    if (!showWaitlist && currentFilter === "waitlisted") {
+      waitlistFilterBtn.classList.remove("active");
+      filterBtns[0].classList.add("active");
+      currentFilter = "all";
+    }
+    if (limited) {
+      dashCapacity.textContent = `${seats.confirmed} / ${seats.capacity}`;
+      dashCapacityLabel.textContent = seats.waitlisted > 0
+        ? `Seats filled · ${seats.waitlisted} waitlisted`
+        : `Seats filled · ${seats.free} free`;
+    }
+    promoteBtn.style.display = seats.waitlisted > 0 ? "" : "none";
   }
 
   /**
-   * Render (or re-render) the attendees table with search & filter
+   * People an attendee accounts for in the view: themselves plus arrived guests
    */
-  function renderTable() {
+  function headcountOf(a, sessionId) {
+    return isCheckedIn(a, sessionId) ? 1 + (a.guestsArrived || 0) : 0;
+  }
+
+  /**
+   * "arrived / allowed" guest cell text ("" when no guests are allowed or recorded)
+   */
+  function guestsText(a) {
+    const allowed = a.guestsAllowed || 0;
+    const arrived = a.guestsArrived || 0;
+    return allowed || arrived ? `${arrived} / ${allowed}` : "";
+  }
+
+  /**
+   * Attendees matching the status filter, search box and advanced filters,
+   * in the table's sort order
+   * Shared by the table, CSV export and badge printing.
+   */
+  function getFilteredAttendees() {
     const query = searchInput.value.toLowerCase().trim();
+    const sessionId = viewSessionId || null;
 
-    // Apply filter + search
-    const filtered = allAttendees.filter((a) => {
+    const matching = allAttendees.filter((a) => {
       // Filter
-      if (currentFilter === "checked-in" && !a.checkedIn) return false;
-      if (currentFilter === "pending" && a.checkedIn) return false;
+      const checkedIn = isCheckedIn(a, sessionId);
+      if (currentFilter === "checked-in" && !checkedIn) return false;
+      if (currentFilter === "pending" && checkedIn) return false;
+      if (currentFilter === "waitlisted" && !a.waitlisted) return false;
+      if (!FiltersModule.matches(a, sessionId)) return false;
 
-      // Search
+      // Search (core fields + custom field values)
       if (query) {
-        const haystack = `${a.name} ${a.prn} ${a.email}`.toLowerCase();
+        const custom = Object.values(a.custom || {}).join(" ");
+        const haystack = `${a.name} ${a.prn} ${a.email} ${a.mobile} ${custom}`.toLowerCase();
         return haystack.includes(query);
       }
       return true;
     });
+    return FiltersModule.sort(matching, sessionId);
+  }
 
-    attendeesBody.innerHTML = "";
+  /**
+   * Render (or re-render) the attendees table with search & filter
+   */
+  function renderTable() {
+    viewRows = getFilteredAttendees();
+    renderCustomHeaders();
+    renderCharts(viewRows);
+    renderPage();
+    writeURLState();
+  }
 
-    if (filtered.length === 0) {
-      emptyState.style.display = "";
-      return;
-    }
-    emptyState.style.display = "none";
-
-    filtered.forEach((a, i) => {
-      const checkInTime = a.checkInTime
-        ? a.checkInTime.toDate().toLocaleString()
-        : "—";
-
-      const statusClass = a.checkedIn ? "checked-in" : "pending";
-      const statusIcon  = a.checkedIn ? "fa-check" : "fa-clock";
-      const statusText  = a.checkedIn ? "Checked In" : "Pending";
-
-      const tr = document.createElement("tr");
-      tr.innerHTML = `
-        <td data-label="#">${i + 1}</td>
-        <td data-label="Name">${escapeHtml(a.name)}</td>
-        <td data-label="PRN">${escapeHtml(a.prn)}</td>
-        <td data-label="Email">${escapeHtml(a.email)}</td>
-        <td data-label="Mobile">${escapeHtml(a.mobile)}</td>
-        <td data-label="Year">${escapeHtml(a.year)}</td>
-        <td data-label="Status">
-          <span class="status-badge ${statusClass}">
-            <i class="fas ${statusIcon}"></i> ${statusText}
-          </span>
-        </td>
-        <td data-label="Check-In">${checkInTime}</td>
-        <td data-label="QR">
-          ${
-            a.qrData
-              ? `<img src="${a.qrData}" alt="QR" class="qr-thumb" data-prn="${escapeHtml(a.prn)}" data-qr="${a.qrData}" />`
-              : "—"
-          }
-        </td>
-        <td data-label="Action">
+  /**
+   * Render the current page of viewRows and the pager
+   */
+  function renderPage() {
+    const pages = Math.max(1, Math.ceil(viewRows.length / pageSize));
+    page = Math.max(0, Math.min(page, pages - 1));
+    const start = page * pageSize;
+    const pageRows = viewRows.slice(start, start + pageSize);
+
+    const positions = waitlistPositions();
+    const fragment = document.createDocumentFragment();
+    pageRows.forEach((a, i) => fragment.appendChild(buildRow(a, start + i, positions)));
+    attendeesBody.replaceChildren(fragment);
+
+    emptyState.style.display = viewRows.length === 0 ? "" : "none";
+    pagerInfo.textContent = viewRows.length === 0
+      ? "No attendees"
+      : `${start + 1}–${start + pageRows.length} of ${viewRows.length} · Page ${page + 1} of ${pages}`;
+    pagerPrev.disabled = page === 0;
+    pagerNext.disabled = page >= pages - 1;
+  }
+
+  function goToPage(target) {
+    page = target;
+    renderPage();
+    attendeesTable.scrollIntoView({ block: "nearest" });
+  }
+
+  /**
+   * Redraw the charts for the attendees the table shows
+   */
+  function renderCharts(filtered) {
+    ChartsModule.render(filtered, viewSessionId || null, describeView());
+  }
+
+  /**
+   * The current view in words, for chart titles (e.g. "TechFest · Day 1 · Pending · "SE"")
+   */
+  function describeView() {
+    const query = searchInput.value.trim();
+    const filterLabels = { "checked-in": "Checked in", pending: "Pending", waitlisted: "Waitlisted" };
+    return [
+      EventsModule.getSelectedEventName(),
+      viewSessionId ? EventsModule.getSessionName(viewSessionId) : "",
+      filterLabels[currentFilter] || "",
+      ...FiltersModule.describe(),
+      query ? `"${query}"` : ""
+    ].filter(Boolean).join(" · ");
+  }
+
+  /**
+   * Table row of one attendee
+   * @param {Object} a - Attendee record
+   * @param {number} i - Position in the filtered list (across all pages)
+   * @param {Map<string, number>} positions - From waitlistPositions()
+   * @returns {HTMLTableRowElement}
+   */
+  function buildRow(a, i, positions) {
+    const sessionId = viewSessionId || null;
+    const checkedIn = isCheckedIn(a, sessionId);
+    const time = checkInTimeOf(a, sessionId);
+    const checkInTime = time ? time.toDate().toLocaleString() : "—";
+
+    const checkedOut = checkedIn && a.checkedOut;
+
+    const waiting = !checkedIn && a.waitlisted;
+
+    const statusClass = checkedOut ? "checked-out" : checkedIn ? "checked-in" : waiting ? "waitlisted" : "pending";
+    const statusIcon  = checkedOut ? "fa-sign-out-alt" : checkedIn ? "fa-check" : waiting ? "fa-hourglass-half" : "fa-clock";
+    const statusText  = checkedOut ? "Checked Out" : checkedIn ? "Checked In" : waiting ? `Waitlisted #${positions.get(a.id)}` : "Pending";
+
+    const tr = document.createElement("tr");
+    tr.dataset.id = a.id;
+    if (arrivals.has(a.id)) tr.className = "row-arrived";
+    tr.innerHTML = `
+      <td data-label="#">${i + 1}</td>
+      <td data-label="Name">${escapeHtml(a.name)}</td>
+      <td data-label="PRN">${escapeHtml(a.prn)}</td>
+      <td data-label="Email">${escapeHtml(a.email)}</td>
+      <td data-label="Mobile">${escapeHtml(a.mobile)}</td>
+      <td data-label="Year">${escapeHtml(a.year)}</td>
+      <td data-label="Guests" title="Arrived / allowed">${guestsText(a) || "—"}</td>
+      ${[...visibleCustomFields]
+        .map((f) => `<td data-label="${escapeHtml(f)}">${escapeHtml((a.custom || {})[f]) || "—"}</td>`)
+        .join("")}
+      ${sessions
+        .map((session) => {
+          const at = checkInTimeOf(a, session.id);
+          return at
+            ? `<td data-label="${escapeHtml(session.name)}" class="session-cell" title="${at.toDate().toLocaleString()}"><i class="fas fa-check"></i></td>`
+            : `<td data-label="${escapeHtml(session.name)}" class="session-cell">—</td>`;
+        })
+        .join("")}
+      <td data-label="Status">
+        <span class="status-badge ${statusClass}">
+          <i class="fas ${statusIcon}"></i> ${statusText}
+        </span>
+      </td>
+      <td data-label="Check-In"${checkedIn && (a.checkInStation || a.checkInBy)
+        ? ` title="${escapeHtml([a.checkInStation, a.checkInBy].filter(Boolean).join(" · "))}"` : ""}>${checkInTime}</td>
+      <td data-label="QR">
+        ${
+          a.qrPayload
+            ? `<button class="qr-view-btn" data-id="${a.id}" title="View QR code"><i class="fas fa-qrcode"></i></button>`
+            : "—"
+        }
+      </td>
+      <td data-label="Action">
+        <div class="row-actions">
           ${
-            a.checkedIn
+            checkedIn
               ? `<span class="status-badge checked-in" style="font-size:0.75rem;"><i class="fas fa-check"></i> Done</span>`
               : `<button class="btn btn-primary btn-sm manual-checkin-btn" data-prn="${escapeHtml(a.prn)}" style="white-space:nowrap;"><i class="fas fa-user-check"></i> Check In</button>`
           }
-        </td>
-      `;
-      attendeesBody.appendChild(tr);
-    });
+          ${checkedIn ? `<button class="row-icon-btn row-undo-btn" data-id="${a.id}" title="Undo check-in"><i class="fas fa-undo"></i></button>` : ""}
+          ${checkedIn && !checkedOut ? `<button class="row-icon-btn row-checkout-btn" data-id="${a.id}" title="Check out"><i class="fas fa-sign-out-alt"></i></button>` : ""}
+          <button class="row-icon-btn row-log-btn" data-id="${a.id}" title="History"><i class="fas fa-history"></i></button>
+          <button class="row-icon-btn row-edit-btn" data-id="${a.id}" title="Edit attendee"><i class="fas fa-pen"></i></button>
+        </div>
+      </td>
+    `;
+    return tr;
+  }
 
-    // QR thumbnail click → open modal
-    document.querySelectorAll(".qr-thumb").forEach((img) => {
-      img.addEventListener("click", () => {
-        const prn = img.dataset.prn;
-        const qrSrc = img.dataset.qr;
-        qrModalTitle.textContent = `QR Code — ${prn}`;
-        qrModalPRN.textContent = prn;
-        qrModalCode.innerHTML = `<img src="${qrSrc}" alt="QR Code" style="width:256px;height:256px;" />`;
-        qrModal.style.display = "flex";
-      });
-    });
+  /**
+   * Clicks on any row button (delegated from the table body)
+   */
+  function handleRowClick(e) {
+    const btn = e.target.closest("button");
+    if (!btn || !attendeesBody.contains(btn)) return;
 
-    // Manual check-in buttons in table rows
-    document.querySelectorAll(".manual-checkin-btn").forEach((btn) => {
-      btn.addEventListener("click", () => handleRowCheckIn(btn));
-    });
+    // Manual check-in re-reads the attendee by PRN
+    if (btn.classList.contains("manual-checkin-btn")) {
+      handleRowCheckIn(btn);
+      return;
+    }
+
+    const a = allAttendees.find((att) => att.id === btn.dataset.id);
+    if (!a) return;
+    const actions = {
+      "qr-view-btn":      showQR,
+      "row-edit-btn":     (att) => AttendeesModule.open(att),
+      "row-undo-btn":     handleRowUndo,
+      "row-checkout-btn": handleRowCheckOut,
+      "row-log-btn":      showLog
+    };
+    const action = Object.keys(actions).find((cls) => btn.classList.contains(cls));
+    if (action) actions[action](a, btn);
+  }
+
+  /**
+   * Show an attendee's QR code full-size (rendered from qrPayload)
+   */
+  function showQR(a) {
+    qrModalTitle.textContent = `QR Code — ${a.prn}`;
+    qrModalPRN.textContent = `${a.name} (${a.prn})`;
+    QRModule.render(qrModalCode, a.qrPayload, 256);
+    qrModal.style.display = "flex";
+  }
+
+  /**
+   * Place of each waitlisted attendee in the queue (1 = next to be promoted)
+   * @returns {Map<string, number>} Attendee ID → position
+   */
+  function waitlistPositions() {
+    return new Map(CapacityModule.waitlistOrder(allAttendees).map((a, i) => [a.id, i + 1]));
+  }
+
+  /**
+   * Promote the next attendees on the waitlist (as many as there are free seats)
+   */
+  async function handlePromote() {
+    const eventId = EventsModule.getSelectedEventId();
+    const seats = CapacityModule.seatState(EventsModule.getSelectedEvent(), allAttendees);
+    if (!eventId || seats.waitlisted === 0) return;
+
+    // No capacity (any more): everyone waiting can have a seat
+    const free = seats.free === null ? seats.waitlisted : seats.free;
+    const input = prompt(
+      `${free} seat(s) free, ${seats.waitlisted} on the waitlist.\n\nHow many people should be promoted, in waitlist order?`,
+      Math.min(free, seats.waitlisted) || 1
+    );
+    if (input === null) return;
+    const count = Number(input);
+    if (!Number.isInteger(count) || count < 1) {
+      showToast("Enter how many people to promote", "warning");
+      return;
+    }
+    const overCapacity = count > free;
+    if (overCapacity && !confirm(`Only ${free} seat(s) are free. Promote ${count} anyway (over capacity)?`)) {
+      return;
+    }
+
+    promoteBtn.disabled = true;
+    try {
+      const promoted = await CapacityModule.promote(eventId, count, { overCapacity });
+      if (promoted.length < Math.min(count, seats.waitlisted)) {
+        // Someone else promoted or registered meanwhile
+        showToast(`Only ${promoted.length} promoted — the waitlist or free seats changed meanwhile`, "warning");
+      } else {
+        showToast(
+          promoted.length === 1 ? `${promoted[0].name} promoted from the waitlist` : `${promoted.length} attendees promoted from the waitlist`,
+          "success"
+        );
+      }
+    } catch (err) {
+      console.error("Promote error:", err);
+      showToast("Could not promote from the waitlist. Please try again.", "error");
+    } finally {
+      promoteBtn.disabled = false;
+    }
   }
 
   /**
@@ -197,16 +755,7 @@ const DashboardModule = (() => {
    */
   function exportCSV() {
     // Apply the same filter + search as the visible table
-    const query = searchInput.value.toLowerCase().trim();
-    const exportData = allAttendees.filter((a) => {
-      if (currentFilter === "checked-in" && !a.checkedIn) return false;
-      if (currentFilter === "pending" && a.checkedIn) return false;
-      if (query) {
-        const haystack = `${a.name} ${a.prn} ${a.email}`.toLowerCase();
-        return haystack.includes(query);
-      }
-      return true;
-    });
+    const exportData = getFilteredAttendees();
 
     if (exportData.length === 0) {
       showToast("No data to export. Refresh or change filters.", "warning");
@@ -214,13 +763,14 @@ const DashboardModule = (() => {
     }
 
     const rows = [
-      ["#", "Name", "PRN", "Email", "Mobile", "Year", "Status", "Check-In Time"]
+      ["#", "Name", "PRN", "Email", "Mobile", "Year", ...customFields, "Status", "Check-In Time",
+        "Station", "Checked In By", "Guests Allowed", "Guests Arrived", "Headcount", ...sessions.map((se) => se.name)]
     ];
+    const sessionId = viewSessionId || null;
 
     exportData.forEach((a, i) => {
-      const checkInTime = a.checkInTime
-        ? a.checkInTime.toDate().toLocaleString()
-        : "";
+      const time = checkInTimeOf(a, sessionId);
+      const checkInTime = time ? time.toDate().toLocaleString() : "";
       rows.push([
         i + 1,
         a.name,
@@ -228,8 +778,18 @@ const DashboardModule = (() => {
         a.email,
         a.mobile,
         a.year,
-        a.checkedIn ? "Checked In" : "Pending",
-        checkInTime
+        ...customFields.map((f) => (a.custom || {})[f] || ""),
+        isCheckedIn(a, sessionId) ? "Checked In" : a.waitlisted ? "Waitlisted" : "Pending",
+        checkInTime,
+        a.checkedIn ? a.checkInStation || "" : "",
+        a.checkedIn ? a.checkInBy || "" : "",
+        a.guestsAllowed || 0,
+        a.guestsArrived || 0,
+        headcountOf(a, sessionId),
+        ...sessions.map((session) => {
+          const at = checkInTimeOf(a, session.id);
+          return at ? at.toDate().toLocaleString() : "";
+        })
       ]);
     });
 
@@ -280,22 +840,36 @@ const DashboardModule = (() => {
 
       const doc = snapshot.docs[0];
       const data = doc.data();
+      const sessionId = viewSessionId || null;
 
-      if (data.checkedIn) {
+      if (isCheckedIn(data, sessionId)) {
         showToast(`${data.name} is already checked in!`, "warning");
         btn.disabled = false;
         btn.innerHTML = '<i class="fas fa-user-check"></i> Check In';
-        loadDashboard();
         return;
       }
 
-      await doc.ref.update({
-        checkedIn: true,
-        checkInTime: firebase.firestore.FieldValue.serverTimestamp()
-      });
+      // Waitlisted: admitting them gives them a seat, so ask first
+      const override = !!data.waitlisted;
+      if (override && !confirm(`${data.name} is on the waitlist. Check them in anyway (gives them a seat)?`)) {
+        btn.disabled = false;
+        btn.innerHTML = '<i class="fas fa-user-check"></i> Check In';
+        return;
+      }
+
+      // Atomic: if another device checked them in meanwhile, theirs stands
+      const result = await AttendanceModule.checkIn(doc.ref, { sessionId, source: "dashboard", override });
+      if (result.status !== "checked-in") {
+        showToast(
+          result.status === "missing" ? "Attendee not found for this PRN" : `${data.name} was just checked in on another device`,
+          "warning"
+        );
+        return;
+      }
 
-      showToast(`${data.name} checked in successfully!`, "success");
-      loadDashboard();
+      // The live listener re-renders the row
+      const where = sessionId ? ` to ${EventsModule.getSessionName(sessionId)}` : "";
+      showToast(`${data.name} checked in${where} successfully!`, "success");
     } catch (err) {
       console.error("Manual check-in error:", err);
       showToast("Error during check-in. Please try again.", "error");
@@ -304,6 +878,99 @@ const DashboardModule = (() => {
     }
   }
 
+  /**
+   * Undo an attendee's check-in from their row (asks for a reason)
+   */
+  async function handleRowUndo(a, btn) {
+    const sessionId = viewSessionId || null;
+    const where = sessionId ? ` for ${EventsModule.getSessionName(sessionId)}` : "";
+    const reason = prompt(`Why are you undoing ${a.name}'s check-in${where}?`);
+    if (reason === null) return;
+    if (!reason.trim()) {
+      showToast("A reason is required to undo a check-in", "warning");
+      return;
+    }
+
+    btn.disabled = true;
+    try {
+      const result = await AttendanceModule.undoCheckIn(attendeesRef.doc(a.id), { sessionId, source: "dashboard", reason: reason.trim() });
+      if (result.status === "missing") {
+        showToast(`${a.name} has been removed from the event`, "error");
+      } else if (result.status === "not-checked-in") {
+        showToast(`${a.name} is no longer checked in — nothing to undo`, "warning");
+      } else {
+        showToast(`Check-in undone for ${a.name}`, "success");
+      }
+      // Nothing changed, so no snapshot will re-render the row
+      if (result.status !== "undone") btn.disabled = false;
+    } catch (err) {
+      console.error("Undo check-in error:", err);
+      showToast("Could not undo the check-in. Please try again.", "error");
+      btn.disabled = false;
+    }
+  }
+
+  /**
+   * Check an attendee out from their row
+   */
+  async function handleRowCheckOut(a, btn) {
+    const reason = prompt(`Check out ${a.name}? Optionally add a note:`, "");
+    if (reason === null) return;
+
+    btn.disabled = true;
+    try {
+      const result = await AttendanceModule.checkOut(attendeesRef.doc(a.id), {
+        sessionId: viewSessionId || null,
+        source: "dashboard",
+        reason: reason.trim()
+      });
+      if (result.status === "missing") {
+        showToast(`${a.name} has been removed from the event`, "error");
+      } else if (result.status === "not-checked-in") {
+        showToast(`${a.name} is no longer checked in`, "warning");
+      } else if (result.status === "already") {
+        showToast(`${a.name} has already checked out`, "info");
+      } else {
+        showToast(`${a.name} checked out`, "success");
+      }
+      if (result.status !== "checked-out") btn.disabled = false;
+    } catch (err) {
+      console.error("Check-out error:", err);
+      showToast("Could not check out. Please try again.", "error");
+      btn.disabled = false;
+    }
+  }
+
+  /**
+   * Show an attendee's audit log in a modal
+   */
+  async function showLog(a) {
+    logModalTitle.innerHTML = `<i class="fas fa-history"></i> History — ${escapeHtml(a.name)}`;
+    logModalBody.innerHTML = '<div class="spinner"></div>';
+    logModal.style.display = "flex";
+
+    try {
+      const entries = await AttendanceModule.getLog(a.id);
+      logModalBody.innerHTML = entries.length === 0
+        ? '<p class="log-empty">No check-in activity recorded yet.</p>'
+        : `<ul class="log-list">${entries.map((entry) => `
+            <li class="log-entry ${escapeHtml(entry.action)}">
+              <div class="log-entry-head">
+                <strong>${escapeHtml(AttendanceModule.actionLabel(entry.action))}</strong>
+                ${entry.sessionId ? `<span class="log-session">${escapeHtml(EventsModule.getSessionName(entry.sessionId) || entry.sessionId)}</span>` : ""}
+                <span class="log-time">${entry.at ? entry.at.toDate().toLocaleString() : "—"}</span>
+              </div>
+              <div class="log-entry-meta">
+                ${escapeHtml(entry.by || "unknown operator")} · ${escapeHtml(entry.source)} · device ${escapeHtml(entry.device)}
+              </div>
+              ${entry.reason ? `<div class="log-reason">“${escapeHtml(entry.reason)}”</div>` : ""}
+            </li>`).join("")}</ul>`;
+    } catch (err) {
+      console.error("Failed to load history:", err);
+      logModalBody.innerHTML = '<p class="log-empty">Could not load the history.</p>';
+    }
+  }
+
   /**
    * Escape HTML to prevent XSS
    */
@@ -315,5 +982,5 @@ const DashboardModule = (() => {
   }
 
   // Public API
-  return { init, loadDashboard };
+  return { init, loadDashboard, stop, restoreView, getFilteredAttendees };
 })();
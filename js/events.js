@@ -6,6 +6,9 @@
  * Handles:
  * - Creating new events
  * - Deleting events (with all associated attendees)
+ * - Migrating an event's attendees off stored QR images
+ * - Defining check-in sessions (days, tracks, workshops) per event
+ * - Setting an optional capacity (seats) per event
  * - Listing all events
  * - Selecting the active event for other modules
  *
@@ -15,6 +18,10 @@
  *   - name        (string)    : Event name
  *   - date        (string)    : Event date
  *   - description (string)    : Short description
+ *   - columnPresets (map)     : Saved upload column mappings, keyed by preset name
+ *   - customFields  (array)   : Names of extra columns kept as attendee custom fields
+ *   - sessions      (array)   : Check-in sessions [{ id, name }] — empty for a single check-in
+ *   - capacity      (number|null) : Seats available — registrations beyond it are waitlisted
  *   - createdAt   (timestamp) : Record creation time
  */
 
@@ -25,10 +32,19 @@ const EventsModule = (() => {
   const eventNameInput  = document.getElementById("eventName");
   const eventDateInput  = document.getElementById("eventDate");
   const eventDescInput  = document.getElementById("eventDescription");
+  const eventCapInput   = document.getElementById("eventCapacity");
   const addEventForm    = document.getElementById("addEventForm");
   const noEventsMsg     = document.getElementById("noEventsMsg");
   const globalEventBar  = document.getElementById("globalEventBar");
   const globalEventName = document.getElementById("globalEventName");
+  const sessionsModal   = document.getElementById("sessionsModal");
+  const sessionsTitle   = document.getElementById("sessionsModalTitle");
+  const closeSessionsBtn = document.getElementById("closeSessionsModal");
+  const sessionsListEl  = document.getElementById("sessionsList");
+  const addSessionBtn   = document.getElementById("addSessionBtn");
+  const saveSessionsBtn = document.getElementById("saveSessionsBtn");
+
+  const SESSION_KEY_PREFIX = "tfn_session_";   // localStorage: active session per event
 
   // Firestore collection (defined in firebase-config.js as eventsRef)
 
@@ -36,13 +52,26 @@ const EventsModule = (() => {
   let selectedEventId   = null;
   let selectedEventName = "";
   let allEvents = [];
+  let editingSessionsId = null;   // Event whose sessions are open in the modal
+  const changeListeners = [];     // Called after the selected event changes
 
   /**
    * Initialize module
+   * @returns {Promise<void>} Resolves once the events list has loaded
    */
   function init() {
     addEventForm.addEventListener("submit", handleAddEvent);
-    loadEvents();
+    closeSessionsBtn.addEventListener("click", () => (sessionsModal.style.display = "none"));
+    sessionsModal.addEventListener("click", (e) => {
+      if (e.target === sessionsModal) sessionsModal.style.display = "none";
+    });
+    addSessionBtn.addEventListener("click", () => addSessionRow({ id: "", name: "" }, true));
+    sessionsListEl.addEventListener("click", (e) => {
+      const btn = e.target.closest(".session-remove-btn");
+      if (btn) btn.closest(".session-row").remove();
+    });
+    saveSessionsBtn.addEventListener("click", handleSaveSessions);
+    return loadEvents();
   }
 
   /**
@@ -94,6 +123,8 @@ const EventsModule = (() => {
             <h4>${escapeHtml(evt.name)}</h4>
             <span class="event-card-date"><i class="fas fa-clock"></i> ${escapeHtml(evt.date || "No date set")}</span>
             ${evt.description ? `<p class="event-card-desc">${escapeHtml(evt.description)}</p>` : ""}
+            ${(evt.sessions || []).length ? `<span class="event-card-sessions"><i class="fas fa-layer-group"></i> ${evt.sessions.map((se) => escapeHtml(se.name)).join(" · ")}</span>` : ""}
+            ${evt.capacity ? `<span class="event-card-sessions"><i class="fas fa-chair"></i> ${evt.capacity} seats</span>` : ""}
           </div>
           ${evt.id === selectedEventId ? '<span class="event-active-badge"><i class="fas fa-check"></i> Active</span>' : ""}
         </div>
@@ -101,6 +132,15 @@ const EventsModule = (() => {
           <button class="btn btn-primary btn-sm event-select-btn" data-id="${evt.id}" data-name="${escapeHtml(evt.name)}" ${evt.id === selectedEventId ? "disabled" : ""}>
             <i class="fas fa-hand-pointer"></i> ${evt.id === selectedEventId ? "Selected" : "Select"}
           </button>
+          <button class="btn btn-sm btn-outline event-sessions-btn" data-id="${evt.id}" title="Days, tracks or workshops with their own check-in">
+            <i class="fas fa-layer-group"></i> Sessions
+          </button>
+          <button class="btn btn-sm btn-outline event-capacity-btn" data-id="${evt.id}" title="Seats available — later registrations go on the waitlist">
+            <i class="fas fa-chair"></i> Capacity
+          </button>
+          <button class="btn btn-sm btn-outline event-slim-btn" data-id="${evt.id}" data-name="${escapeHtml(evt.name)}" title="Strip stored QR images, keep only signed payloads and publish participant portal tickets">
+            <i class="fas fa-compress-alt"></i> Slim QR Data
+          </button>
           <button class="btn btn-danger btn-sm event-delete-btn" data-id="${evt.id}" data-name="${escapeHtml(evt.name)}">
             <i class="fas fa-trash"></i> Delete
           </button>
@@ -113,7 +153,23 @@ const EventsModule = (() => {
     eventsList.querySelectorAll(".event-select-btn").forEach((btn) => {
       btn.addEventListener("click", () => {
         selectEvent(btn.dataset.id, btn.dataset.name);
-        renderEvents(); // Re-render to update UI
+      });
+    });
+
+    // Bind session editor buttons
+    eventsList.querySelectorAll(".event-sessions-btn").forEach((btn) => {
+      btn.addEventListener("click", () => openSessions(btn.dataset.id));
+    });
+
+    // Bind capacity buttons
+    eventsList.querySelectorAll(".event-capacity-btn").forEach((btn) => {
+      btn.addEventListener("click", () => handleEditCapacity(btn.dataset.id));
+    });
+
+    // Bind QR migration buttons
+    eventsList.querySelectorAll(".event-slim-btn").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        handleMigrateQR(btn, btn.dataset.id, btn.dataset.name);
       });
     });
 
@@ -134,11 +190,16 @@ const EventsModule = (() => {
     const name = eventNameInput.value.trim();
     const date = eventDateInput.value;
     const desc = eventDescInput.value.trim();
+    const capacity = parseCapacity(eventCapInput.value);
 
     if (!name) {
       showToast("Please enter an event name", "warning");
       return;
     }
+    if (capacity === undefined) {
+      showToast("Capacity must be a whole number of seats (or left blank)", "warning");
+      return;
+    }
 
     try {
       addEventBtn.disabled = true;
@@ -146,6 +207,7 @@ const EventsModule = (() => {
         name,
         date: date || "",
         description: desc,
+        capacity,
         createdAt: firebase.firestore.FieldValue.serverTimestamp()
       });
 
@@ -153,6 +215,7 @@ const EventsModule = (() => {
       eventNameInput.value = "";
       eventDateInput.value = "";
       eventDescInput.value = "";
+      eventCapInput.value = "";
       addEventBtn.disabled = false;
 
       await loadEvents();
@@ -164,6 +227,43 @@ const EventsModule = (() => {
     }
   }
 
+  /**
+   * Change an event's capacity
+   * Lowering it never un-confirms anyone; raising it frees seats for promotion
+   * from the waitlist on the dashboard.
+   */
+  async function handleEditCapacity(eventId) {
+    const evt = allEvents.find((e) => e.id === eventId);
+    if (!evt) return;
+
+    const input = prompt(`Seats available for "${evt.name}" (leave blank for no limit):`, evt.capacity || "");
+    if (input === null) return;
+    const capacity = parseCapacity(input);
+    if (capacity === undefined) {
+      showToast("Capacity must be a whole number of seats (or left blank)", "warning");
+      return;
+    }
+
+    try {
+      await eventsRef.doc(eventId).update({ capacity });
+      evt.capacity = capacity;
+      renderEvents();
+      showToast(capacity ? `"${evt.name}" capacity set to ${capacity}` : `"${evt.name}" has no capacity limit`, "success");
+    } catch (err) {
+      console.error("Failed to save capacity:", err);
+      showToast("Failed to save capacity", "error");
+    }
+  }
+
+  /**
+   * Parse a capacity input: null when blank, undefined when invalid
+   */
+  function parseCapacity(value) {
+    const str = String(value).trim();
+    if (!str) return null;
+    return /^\d+$/.test(str) && Number(str) > 0 ? Number(str) : undefined;
+  }
+
   /**
    * Handle deleting an event and all its attendees
    */
@@ -187,6 +287,7 @@ const EventsModule = (() => {
         batch.delete(doc.ref);
       });
       await batch.commit();
+      await TicketsModule.deleteEvent(eventId);
 
       // Delete the event itself
       await eventsRef.doc(eventId).delete();
@@ -206,6 +307,110 @@ const EventsModule = (() => {
     }
   }
 
+  /**
+   * Strip stored base64 QR images from an event's attendees
+   * Codes are regenerated from their payload and must scan before qrData goes.
+   */
+  async function handleMigrateQR(btn, eventId, eventName) {
+    const confirmMigrate = confirm(
+      `Remove stored QR images from "${eventName}"?\n\nEach attendee keeps a signed QR payload and codes are rendered on demand. Attendees without a signed code get a new one.`
+    );
+    if (!confirmMigrate) return;
+
+    const originalHtml = btn.innerHTML;
+    btn.disabled = true;
+
+    try {
+      const result = await QRModule.migrateEvent(eventId, (done, total) => {
+        btn.innerHTML = `<i class="fas fa-spinner fa-spin"></i> ${done}/${total}`;
+      });
+      showToast(
+        `"${eventName}": ${result.migrated} migrated, ${result.unchanged} already slim, ${result.failed} failed`,
+        result.failed > 0 ? "warning" : "success"
+      );
+    } catch (err) {
+      console.error("QR migration failed:", err);
+      showToast("QR migration failed", "error");
+    } finally {
+      btn.disabled = false;
+      btn.innerHTML = originalHtml;
+    }
+  }
+
+  /**
+   * Open the session editor for an event
+   */
+  function openSessions(eventId) {
+    const evt = allEvents.find((e) => e.id === eventId);
+    if (!evt) return;
+
+    editingSessionsId = eventId;
+    sessionsTitle.innerHTML = `<i class="fas fa-layer-group"></i> Sessions — ${escapeHtml(evt.name)}`;
+    sessionsListEl.innerHTML = "";
+    (evt.sessions || []).forEach((session) => addSessionRow(session, false));
+    sessionsModal.style.display = "flex";
+  }
+
+  /**
+   * Append an editable session row (existing sessions keep their ID)
+   */
+  function addSessionRow(session, focus) {
+    const row = document.createElement("div");
+    row.className = "session-row";
+    row.dataset.id = session.id;
+    row.innerHTML = `
+      <input type="text" class="session-name" value="${escapeHtml(session.name)}" placeholder="e.g. Day 1, Workshop: Git" />
+      <button type="button" class="modal-close session-remove-btn" title="Remove session">&times;</button>
+    `;
+    sessionsListEl.appendChild(row);
+    if (focus) row.querySelector("input").focus();
+  }
+
+  /**
+   * Save the session list of the event being edited
+   * Removing a session hides its attendance; the recorded times stay on attendees.
+   */
+  async function handleSaveSessions() {
+    const evt = allEvents.find((e) => e.id === editingSessionsId);
+    if (!evt) return;
+
+    const sessions = [...sessionsListEl.querySelectorAll(".session-row")]
+      .map((row, i) => ({
+        id: row.dataset.id || `s${Date.now().toString(36)}${i}`,
+        name: row.querySelector(".session-name").value.trim()
+      }))
+      .filter((session) => session.name);
+
+    const names = sessions.map((session) => session.name.toLowerCase());
+    if (new Set(names).size !== names.length) {
+      showToast("Session names must be unique", "warning");
+      return;
+    }
+
+    const kept = new Set(sessions.map((session) => session.id));
+    const removed = (evt.sessions || []).filter((session) => !kept.has(session.id));
+    if (removed.length > 0) {
+      const proceed = confirm(
+        `Remove ${removed.map((session) => `"${session.name}"`).join(", ")}?\n\nAttendance already recorded for removed sessions will no longer be shown.`
+      );
+      if (!proceed) return;
+    }
+
+    saveSessionsBtn.disabled = true;
+    try {
+      await eventsRef.doc(evt.id).update({ sessions });
+      evt.sessions = sessions;
+      sessionsModal.style.display = "none";
+      renderEvents();
+      showToast(`Saved ${sessions.length} session(s) for "${evt.name}"`, "success");
+    } catch (err) {
+      console.error("Failed to save sessions:", err);
+      showToast("Failed to save sessions", "error");
+    } finally {
+      saveSessionsBtn.disabled = false;
+    }
+  }
+
   /**
    * Select an event as the currently active event
    */
@@ -213,7 +418,17 @@ const EventsModule = (() => {
     selectedEventId = eventId;
     selectedEventName = eventName;
     updateGlobalBar();
+    if (allEvents.length > 0) renderEvents();
     showToast(`Switched to event: ${eventName}`, "info");
+    changeListeners.forEach((listener) => listener(eventId));
+  }
+
+  /**
+   * Run a callback whenever another event is selected
+   * @param {Function} listener - Called with the new event ID
+   */
+  function onEventChange(listener) {
+    changeListeners.push(listener);
   }
 
   /**
@@ -243,6 +458,55 @@ const EventsModule = (() => {
     return selectedEventName;
   }
 
+  /**
+   * Get the full record of the currently selected event (or null)
+   */
+  function getSelectedEvent() {
+    return allEvents.find((evt) => evt.id === selectedEventId) || null;
+  }
+
+  /**
+   * Sessions of the currently selected event ([] when it has none)
+   */
+  function getSessions() {
+    const evt = getSelectedEvent();
+    return (evt && evt.sessions) || [];
+  }
+
+  /**
+   * Session being checked in to for the selected event (null when it has none)
+   * Defaults to the first session; the choice is remembered per event.
+   */
+  function getActiveSessionId() {
+    const sessions = getSessions();
+    if (sessions.length === 0) return null;
+    const saved = localStorage.getItem(SESSION_KEY_PREFIX + selectedEventId);
+    return sessions.some((session) => session.id === saved) ? saved : sessions[0].id;
+  }
+
+  /**
+   * Remember the active check-in session of the selected event
+   */
+  function setActiveSessionId(sessionId) {
+    localStorage.setItem(SESSION_KEY_PREFIX + selectedEventId, sessionId);
+  }
+
+  /**
+   * Name of a session of the selected event ("" if unknown)
+   */
+  function getSessionName(sessionId) {
+    const session = getSessions().find((se) => se.id === sessionId);
+    return session ? session.name : "";
+  }
+
+  /**
+   * Look up an event's name by ID ("" if unknown)
+   */
+  function getEventName(eventId) {
+    const evt = allEvents.find((e) => e.id === eventId);
+    return evt ? evt.name : "";
+  }
+
   /**
    * Escape HTML
    */
@@ -257,7 +521,15 @@ const EventsModule = (() => {
   return {
     init,
     loadEvents,
+    selectEvent,
+    onEventChange,
     getSelectedEventId,
-    getSelectedEventName
+    getSelectedEventName,
+    getSelectedEvent,
+    getEventName,
+    getSessions,
+    getActiveSessionId,
+    setActiveSessionId,
+    getSessionName
   };
 })();
@@ -0,0 +1,320 @@
+/**
+ * ============================================
+ * Attendee Table Filters & Sorting Module
+ * ============================================
+ *
+ * Handles:
+ * - Click-to-sort on the dashboard table headers (ascending → descending → off)
+ * - Advanced filters that combine with the search box and status buttons:
+ *   year, check-in time range and custom-field values
+ * - Reading / writing its state as URL parameters, so a view can be shared
+ *
+ * The dashboard decides what the filtered view is used for (table, charts,
+ * CSV export, badges); this module only answers "does this attendee match?"
+ * and "in which order?".
+ */
+
+const FiltersModule = (() => {
+  // --- DOM Elements ---
+  const filtersBtn    = document.getElementById("filtersBtn");
+  const filtersCount  = document.getElementById("filtersCount");
+  const panel         = document.getElementById("advancedFilters");
+  const yearSelect    = document.getElementById("filterYear");
+  const fromInput     = document.getElementById("filterFrom");
+  const toInput       = document.getElementById("filterTo");
+  const customBox     = document.getElementById("filterCustom");
+  const clearBtn      = document.getElementById("clearFiltersBtn");
+  const tableHead     = document.querySelector("#attendeesTable thead");
+
+  const DEBOUNCE = 200;   // ms, for typed filter values
+  const MAX_SUGGESTIONS = 50;
+  const MINUTE = 60000;
+
+  // Status order when sorting by the Status column
+  const STATUS_RANK = { "checked-in": 0, "checked-out": 1, pending: 2, waitlisted: 3 };
+
+  let onChange = () => {};
+  let filters = { year: "", from: "", to: "", custom: {} };
+  let sort = { key: "", dir: 1 };   // key "" = registration order (newest first)
+  let customFields = [];
+  let debounceTimer = null;
+
+  /**
+   * Initialize event listeners
+   * @param {Function} changeCallback - Called when filters or sorting change
+   */
+  function init(changeCallback) {
+    onChange = changeCallback;
+
+    filtersBtn.addEventListener("click", () => {
+      panel.style.display = panel.style.display === "none" ? "" : "none";
+    });
+
+    yearSelect.addEventListener("change", () => {
+      filters.year = yearSelect.value;
+      changed();
+    });
+    [fromInput, toInput].forEach((input) => {
+      input.addEventListener("change", () => {
+        filters.from = fromInput.value;
+        filters.to = toInput.value;
+        changed();
+      });
+    });
+    customBox.addEventListener("input", (e) => {
+      const field = e.target.dataset.field;
+      if (field === undefined) return;
+      filters.custom[field] = e.target.value;
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(changed, DEBOUNCE);
+    });
+    clearBtn.addEventListener("click", () => {
+      filters = { year: "", from: "", to: "", custom: {} };
+      syncInputs();
+      changed();
+    });
+
+    tableHead.addEventListener("click", (e) => {
+      const th = e.target.closest("th[data-sort]");
+      if (th) toggleSort(th.dataset.sort);
+    });
+  }
+
+  function changed() {
+    updateCount();
+    onChange();
+  }
+
+  /**
+   * Next click on a header: ascending → descending → back to registration order
+   */
+  function toggleSort(key) {
+    if (sort.key !== key) sort = { key, dir: 1 };
+    else if (sort.dir === 1) sort = { key, dir: -1 };
+    else sort = { key: "", dir: 1 };
+    onChange();
+  }
+
+  /**
+   * Refresh the year options and custom-field inputs for the event's attendees
+   * @param {Object[]} attendees - All attendees of the event
+   * @param {string[]} fields - The event's custom fields
+   */
+  function update(attendees, fields) {
+    const years = [...new Set(attendees.map((a) => (a.year || "").trim().toUpperCase()).filter(Boolean))]
+      .sort((a, b) => ChartsModule.yearRank(a) - ChartsModule.yearRank(b) || a.localeCompare(b));
+    if (filters.year && !years.includes(filters.year)) years.push(filters.year);   // From a shared link
+    yearSelect.innerHTML = '<option value="">Any year</option>' + years
+      .map((y) => `<option value="${escapeHtml(y)}">${escapeHtml(y)}</option>`)
+      .join("");
+    yearSelect.value = filters.year;
+
+    if (fields.join("\n") !== customFields.join("\n")) {
+      customFields = [...fields];
+      // A field the new event doesn't have would hide everyone
+      Object.keys(filters.custom).forEach((field) => {
+        if (!customFields.includes(field)) delete filters.custom[field];
+      });
+      renderCustomInputs(attendees);
+      updateCount();
+    }
+  }
+
+  /**
+   * One text input per custom field, suggesting the values in use
+   */
+  function renderCustomInputs(attendees) {
+    customBox.innerHTML = customFields
+      .map((field, i) => {
+        const values = [...new Set(attendees.map((a) => (a.custom || {})[field]).filter(Boolean))].slice(0, MAX_SUGGESTIONS);
+        return `
+          <div class="form-group">
+            <label for="filterCustom${i}"><i class="fas fa-tag"></i> ${escapeHtml(field)}</label>
+            <input type="text" id="filterCustom${i}" data-field="${escapeHtml(field)}" list="filterCustomList${i}"
+              value="${escapeHtml(filters.custom[field] || "")}" placeholder="Any" />
+            <datalist id="filterCustomList${i}">
+              ${values.map((v) => `<option value="${escapeHtml(String(v))}"></option>`).join("")}
+            </datalist>
+          </div>`;
+      })
+      .join("");
+  }
+
+  /**
+   * Put the filter state back into the inputs (after clearing or reading a URL)
+   */
+  function syncInputs() {
+    yearSelect.value = filters.year;
+    fromInput.value = filters.from;
+    toInput.value = filters.to;
+    customBox.querySelectorAll("input[data-field]").forEach((input) => {
+      input.value = filters.custom[input.dataset.field] || "";
+    });
+    updateCount();
+  }
+
+  function activeCount() {
+    return [filters.year, filters.from || filters.to, ...Object.values(filters.custom)].filter(Boolean).length;
+  }
+
+  function updateCount() {
+    const count = activeCount();
+    filtersCount.textContent = count;
+    filtersCount.style.display = count ? "" : "none";
+  }
+
+  /**
+   * Whether an attendee passes the advanced filters
+   * @param {Object} a - Attendee record
+   * @param {string|null} sessionId - Session the check-in time is read from
+   */
+  function matches(a, sessionId) {
+    if (filters.year && (a.year || "").trim().toUpperCase() !== filters.year.toUpperCase()) return false;
+
+    if (filters.from || filters.to) {
+      const time = checkInTimeOf(a, sessionId);
+      if (!time) return false;
+      const ms = time.toMillis();
+      if (filters.from && ms < new Date(filters.from).getTime()) return false;
+      // "Until 10:15" includes everything up to 10:15:59.999
+      if (filters.to && ms > new Date(filters.to).getTime() + MINUTE - 1) return false;
+    }
+
+    return Object.entries(filters.custom).every(([field, value]) => {
+      if (!value.trim()) return true;
+      return String((a.custom || {})[field] || "").toLowerCase().includes(value.trim().toLowerCase());
+    });
+  }
+
+  /**
+   * Attendees in the selected sort order (a new array; unsorted = as given)
+   * Empty values always go last.
+   */
+  function sortAttendees(list, sessionId) {
+    if (!sort.key) return list;
+    const keyed = list.map((a) => ({ a, value: sortValue(a, sort.key, sessionId) }));
+    keyed.sort((x, y) => {
+      const xEmpty = x.value === null || x.value === "";
+      const yEmpty = y.value === null || y.value === "";
+      if (xEmpty || yEmpty) return xEmpty - yEmpty;
+      const diff = typeof x.value === "number"
+        ? x.value - y.value
+        : String(x.value).localeCompare(String(y.value), undefined, { numeric: true, sensitivity: "base" });
+      return diff * sort.dir;
+    });
+    return keyed.map((k) => k.a);
+  }
+
+  /**
+   * Value of a column for sorting
+   * Keys: name, prn, email, mobile, year, guests, status, checkin,
+   * custom:<field>, session:<sessionId>
+   */
+  function sortValue(a, key, sessionId) {
+    if (key.startsWith("custom:")) return (a.custom || {})[key.slice(7)] || "";
+    if (key.startsWith("session:")) return millisOf(checkInTimeOf(a, key.slice(8)));
+
+    switch (key) {
+      case "guests":
+        return (a.guestsArrived || 0) * 1000 + (a.guestsAllowed || 0);
+      case "checkin":
+        return millisOf(checkInTimeOf(a, sessionId));
+      case "year": {
+        // Academic order (FE, SE, TE, BE), then any other value alphabetically
+        const year = (a.year || "").trim().toUpperCase();
+        return year ? `${ChartsModule.yearRank(year)} ${year}` : "";
+      }
+      case "status": {
+        const checkedIn = isCheckedIn(a, sessionId);
+        const status = checkedIn ? (a.checkedOut ? "checked-out" : "checked-in") : a.waitlisted ? "waitlisted" : "pending";
+        return STATUS_RANK[status];
+      }
+      default:
+        return a[key] || "";
+    }
+  }
+
+  function millisOf(time) {
+    return time ? time.toMillis() : null;
+  }
+
+  /**
+   * Mark the sorted column header (call after header cells are rebuilt)
+   */
+  function renderSortHeaders() {
+    tableHead.querySelectorAll("th[data-sort]").forEach((th) => {
+      const active = th.dataset.sort === sort.key;
+      th.classList.toggle("sort-asc", active && sort.dir === 1);
+      th.classList.toggle("sort-desc", active && sort.dir === -1);
+      th.setAttribute("aria-sort", active ? (sort.dir === 1 ? "ascending" : "descending") : "none");
+    });
+  }
+
+  /**
+   * Write the state into URL parameters
+   * @param {URLSearchParams} params
+   */
+  function toParams(params) {
+    if (filters.year) params.set("year", filters.year);
+    if (filters.from) params.set("from", filters.from);
+    if (filters.to) params.set("to", filters.to);
+    Object.entries(filters.custom).forEach(([field, value]) => {
+      if (value.trim()) params.set(`cf.${field}`, value.trim());
+    });
+    if (sort.key) params.set("sort", `${sort.dir === -1 ? "-" : ""}${sort.key}`);
+  }
+
+  /**
+   * Restore the state from URL parameters (e.g. a shared link)
+   * @param {URLSearchParams} params
+   */
+  function fromParams(params) {
+    filters = { year: params.get("year") || "", from: params.get("from") || "", to: params.get("to") || "", custom: {} };
+    params.forEach((value, name) => {
+      if (name.startsWith("cf.")) filters.custom[name.slice(3)] = value;
+    });
+    const sortParam = params.get("sort") || "";
+    sort = sortParam.startsWith("-") ? { key: sortParam.slice(1), dir: -1 } : { key: sortParam, dir: 1 };
+    syncInputs();
+    if (activeCount() > 0) panel.style.display = "";
+  }
+
+  /**
+   * The active filters in words, for chart titles
+   * @returns {string[]}
+   */
+  function describe() {
+    const parts = [];
+    if (filters.year) parts.push(filters.year);
+    if (filters.from || filters.to) {
+      const fmt = (value) => new Date(value).toLocaleString([], { dateStyle: "short", timeStyle: "short" });
+      parts.push(`${filters.from ? fmt(filters.from) : "…"} – ${filters.to ? fmt(filters.to) : "…"}`);
+    }
+    Object.entries(filters.custom).forEach(([field, value]) => {
+      if (value.trim()) parts.push(`${field}: ${value.trim()}`);
+    });
+    return parts;
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   */
+  function escapeHtml(str) {
+    if (!str) return "";
+    const div = document.createElement("div");
+    div.textContent = str;
+    return div.innerHTML;
+  }
+
+  // Public API
+  return {
+    init,
+    update,
+    matches,
+    sort: sortAttendees,
+    renderSortHeaders,
+    toParams,
+    fromParams,
+    describe
+  };
+})();
@@ -9,29 +9,47 @@
  * 3. Enable Firestore Database (Cloud Firestore)
  * 4. Go to Project Settings > General > Your Apps > Add Web App
  * 5. Copy the firebaseConfig object and paste it below
- * 6. Set Firestore rules to allow read/write (for development):
- *
- *    rules_version = '2';
- *    service cloud.firestore {
- *      match /databases/{database}/documents {
- *        match /{document=**} {
- *          allow read, write: if true;
- *        }
- *      }
- *    }
+ * 6. Enable Authentication > Email/Password and add the admin accounts
+ * 7. Deploy the security rules in firestore.rules (Firebase CLI:
+ *    `firebase deploy --only firestore:rules`, or paste them into
+ *    Firestore > Rules). In short:
+ *      - events      : public read (portal event picker), admin write
+ *      - tickets     : public get by ID only, no listing (portal QR lookup)
+ *      - attendees, eventSecrets : signed-in admins only
+ *      - checkinLog  : signed-in admins, create-only
+ *    Never leave the database open: anyone who can read eventSecrets can
+ *    forge QR codes, and attendees hold contact details.
  *
  * FIRESTORE SCHEMA:
  * Collection: "attendees"
+ * Document ID: "<eventId>_<PRN>" (see attendeeDocId)
  * Document fields:
  *   - name      (string)  : Attendee full name
  *   - prn       (string)  : Unique PRN identifier
  *   - email     (string)  : Email address
  *   - mobile    (string)  : Mobile number
  *   - year      (string)  : Academic year
- *   - qrData    (string)  : QR code data (base64 PNG)
- *   - checkedIn (boolean) : Whether attendee has checked in
- *   - checkInTime (timestamp | null) : When they checked in
+ *   - guestsAllowed (number) : Guests (plus-ones) the attendee may bring
+ *   - guestsArrived (number) : Guests recorded at check-in
+ *   - waitlisted (boolean) : No seat yet — the event was full when they registered
+ *   - waitlistRank (number) : Order on the waitlist (lower = promoted first)
+ *   - promotedAt (timestamp) : When a waitlisted attendee got a seat
+ *   - eventId   (string)  : Event the attendee belongs to
+ *   - custom    (map)     : Extra upload columns (e.g. T-shirt size, team name)
+ *   - qrPayload (string)  : Signed QR payload (QR images are rendered on demand)
+ *   - checkedIn (boolean) : Whether attendee has checked in (to any session)
+ *   - checkInTime (timestamp | null) : When they first checked in
+ *   - attendance (map)    : Session ID → check-in time, for events with sessions
+ *   - checkInDevice (string) : Browser that recorded the last check-in
+ *   - checkInBy (string)  : Operator (Firebase Auth email) of the last check-in
+ *   - checkInStation (string) : Station name of that device (e.g. "Gate A")
+ *   - checkedOut (boolean) : Whether attendee has checked out again
+ *   - checkOutTime (timestamp | null) : When they checked out
  *   - createdAt (timestamp) : Record creation time
+ *
+ * Collection: "tickets" (participant portal copy — see tickets.js)
+ * Document ID: hex SHA-256 of "<eventId>\n<PRN>\n<email or mobile>"
+ *   - eventId, prn, name, year, qrPayload
  */
 
 // ⚠️ REPLACE the values below with YOUR Firebase project credentials
@@ -59,6 +77,58 @@ db.settings({
 const attendeesRef = db.collection("attendees");
 const eventsRef = db.collection("events");
 
+/**
+ * Utility: Deterministic attendee document ID (one document per event + PRN)
+ * Re-running an upload writes to the same IDs, so it can never duplicate.
+ * @param {string} eventId - Event document ID
+ * @param {string} prn - Attendee PRN
+ * @returns {string} Firestore-safe document ID
+ */
+function attendeeDocId(eventId, prn) {
+  return `${eventId}_${encodeURIComponent(String(prn).trim())}`;
+}
+
+/**
+ * Utility: Whether an attendee is checked in — to one session, or to the event at all
+ * @param {Object} attendee - Attendee record
+ * @param {string|null} sessionId - Session ID, or null for the whole event
+ * @returns {boolean}
+ */
+function isCheckedIn(attendee, sessionId = null) {
+  return sessionId ? !!(attendee.attendance || {})[sessionId] : !!attendee.checkedIn;
+}
+
+/**
+ * Utility: When an attendee checked in to a session (or first arrived at the event)
+ * @returns {*} Firestore Timestamp (millis in the offline roster), or null
+ */
+function checkInTimeOf(attendee, sessionId = null) {
+  return (sessionId ? (attendee.attendance || {})[sessionId] : attendee.checkInTime) || null;
+}
+
+/**
+ * Utility: Fields to update when checking an attendee in
+ * The first check-in also sets checkedIn / checkInTime, so event-wide stats
+ * keep working for events with sessions. Checking in again clears a check-out.
+ * @param {Object} attendee - Current attendee data
+ * @param {string|null} sessionId - Session being checked in to, or null
+ * @param {*} time - Timestamp or serverTimestamp() sentinel
+ * @returns {Object} Firestore update
+ */
+function checkInFields(attendee, sessionId, time) {
+  const fields = {};
+  if (!attendee.checkedIn) {
+    fields.checkedIn = true;
+    fields.checkInTime = time;
+  }
+  if (attendee.checkedOut) {
+    fields.checkedOut = false;
+    fields.checkOutTime = null;
+  }
+  if (sessionId) fields[`attendance.${sessionId}`] = time;
+  return fields;
+}
+
 /**
  * Utility: Show a toast notification
  * @param {string} message - Toast message
@@ -0,0 +1,320 @@
+/**
+ * ============================================
+ * Self-Service Kiosk Module
+ * ============================================
+ *
+ * Handles:
+ * - Full-screen kiosk for attendees to scan themselves (tablet on a stand)
+ * - Continuous scanning with the front camera — no Start button
+ * - Big green / amber / red result with the attendee's name, then back to "ready"
+ * - Hiding admin navigation until the exit PIN is entered
+ *
+ * The kiosk survives a page reload: its event and a hash of the PIN are kept in
+ * localStorage, and the app re-enters kiosk mode on startup.
+ */
+
+const KioskModule = (() => {
+  // --- DOM Elements ---
+  const enterKioskBtn   = document.getElementById("enterKioskBtn");
+  const setupModal      = document.getElementById("kioskSetupModal");
+  const closeSetupBtn   = document.getElementById("closeKioskSetup");
+  const setupForm       = document.getElementById("kioskSetupForm");
+  const setupPin        = document.getElementById("kioskSetupPin");
+  const setupPinConfirm = document.getElementById("kioskSetupPinConfirm");
+  const setupError      = document.getElementById("kioskSetupError");
+  const overlay         = document.getElementById("kioskOverlay");
+  const kioskEventName  = document.getElementById("kioskEventName");
+  const kioskResult     = document.getElementById("kioskResult");
+  const kioskIcon       = document.getElementById("kioskIcon");
+  const kioskTitle      = document.getElementById("kioskTitle");
+  const kioskMessage    = document.getElementById("kioskMessage");
+  const kioskLockBtn    = document.getElementById("kioskLockBtn");
+  const unlockForm      = document.getElementById("kioskUnlockForm");
+  const unlockPin       = document.getElementById("kioskUnlockPin");
+  const unlockError     = document.getElementById("kioskUnlockError");
+  const unlockCancelBtn = document.getElementById("kioskUnlockCancel");
+
+  const STORAGE_KEY = "tfn_kiosk";
+  const RESET_DELAY = 4000;     // Result stays on screen for this long (ms)
+  const SAME_CODE_COOLDOWN = 10000;   // Ignore the same QR held in view (ms)
+  const MIN_PIN_LENGTH = 4;
+
+  let scanner = null;
+  let busy = false;             // Processing a scan or showing its result
+  let resetTimer = null;
+  let lastCode = "";
+  let lastCodeAt = 0;
+  let audioCtx = null;          // One context for every beep (browsers cap live contexts)
+
+  // Result look per check-in state: colour, icon, title
+  const RESULT_STYLES = {
+    success:    { tone: "green", icon: "fa-check-circle" },
+    already:    { tone: "amber", icon: "fa-exclamation-circle" },
+    notFound:   { tone: "red",   icon: "fa-times-circle" },
+    wrongEvent: { tone: "red",   icon: "fa-calendar-times" },
+    waitlisted: { tone: "red",   icon: "fa-hourglass-half" },
+    altered:    { tone: "red",   icon: "fa-shield-alt" },
+    forged:     { tone: "red",   icon: "fa-ban" },
+    noEvent:    { tone: "red",   icon: "fa-times-circle" },
+    noRoster:   { tone: "red",   icon: "fa-wifi" },
+    error:      { tone: "red",   icon: "fa-times-circle" }
+  };
+
+  /**
+   * Initialize event listeners
+   */
+  function init() {
+    enterKioskBtn.addEventListener("click", openSetup);
+    closeSetupBtn.addEventListener("click", () => (setupModal.style.display = "none"));
+    setupForm.addEventListener("submit", handleSetup);
+
+    kioskLockBtn.addEventListener("click", showUnlock);
+    unlockForm.addEventListener("submit", handleUnlock);
+    unlockCancelBtn.addEventListener("click", hideUnlock);
+
+    // Leaving full screen (Esc) must not expose the admin UI — re-request on next tap
+    overlay.addEventListener("click", () => {
+      if (isActive() && !document.fullscreenElement) requestFullscreen();
+    });
+  }
+
+  /**
+   * Re-enter kiosk mode after a reload (call once events have loaded)
+   */
+  function restore() {
+    const saved = loadState();
+    if (!saved) return;
+    if (saved.eventId && saved.eventId !== EventsModule.getSelectedEventId()) {
+      const name = EventsModule.getEventName(saved.eventId);
+      if (name) EventsModule.selectEvent(saved.eventId, name);
+    }
+    start();
+  }
+
+  /**
+   * Ask for an exit PIN before entering kiosk mode
+   */
+  function openSetup() {
+    if (!EventsModule.getSelectedEventId()) {
+      showToast("Please select an event first from the Events page!", "warning");
+      return;
+    }
+    setupPin.value = "";
+    setupPinConfirm.value = "";
+    setupError.textContent = "";
+    setupModal.style.display = "flex";
+    setupPin.focus();
+  }
+
+  async function handleSetup(e) {
+    e.preventDefault();
+    const pin = setupPin.value.trim();
+
+    if (!new RegExp(`^\\d{${MIN_PIN_LENGTH},}$`).test(pin)) {
+      setupError.textContent = `PIN must be at least ${MIN_PIN_LENGTH} digits.`;
+      return;
+    }
+    if (pin !== setupPinConfirm.value.trim()) {
+      setupError.textContent = "PINs don't match.";
+      return;
+    }
+
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      eventId: EventsModule.getSelectedEventId(),
+      pinHash: await hashPin(pin)
+    }));
+    setupModal.style.display = "none";
+    requestFullscreen();
+    start();
+  }
+
+  /**
+   * Show the kiosk and start scanning
+   */
+  async function start() {
+    CheckInModule.stopScanner();
+    CheckInModule.activate();     // Sync the offline queue and cache the roster
+    document.body.classList.add("kiosk-active");
+    overlay.style.display = "flex";
+    kioskEventName.textContent = [
+      EventsModule.getSelectedEventName(),
+      EventsModule.getSessionName(EventsModule.getActiveSessionId())
+    ].filter(Boolean).join(" · ");
+    hideUnlock();
+    showReady();
+
+    try {
+      scanner = new Html5Qrcode("kiosk-reader");
+      await scanner.start(
+        { facingMode: "user" },   // Front camera faces the attendee
+        { fps: 10, qrbox: { width: 260, height: 260 }, aspectRatio: 1 },
+        onScan,
+        () => {}
+      );
+    } catch (err) {
+      console.error("Kiosk scanner error:", err);
+      showResult("error", "Camera unavailable", "Please ask a volunteer for help.", false);
+    }
+  }
+
+  /**
+   * Stop scanning and return to the admin UI
+   */
+  async function stop() {
+    clearTimeout(resetTimer);
+    if (scanner) {
+      try {
+        await scanner.stop();
+      } catch (_) { /* ignore */ }
+      scanner = null;
+    }
+    localStorage.removeItem(STORAGE_KEY);
+    overlay.style.display = "none";
+    document.body.classList.remove("kiosk-active");
+    if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+  }
+
+  /**
+   * Handle a decoded QR code
+   */
+  async function onScan(text) {
+    const now = Date.now();
+    if (busy || (text === lastCode && now - lastCodeAt < SAME_CODE_COOLDOWN)) return;
+    busy = true;
+    lastCode = text;
+    lastCodeAt = now;
+
+    kioskResult.className = "kiosk-result checking";
+    kioskIcon.className = "fas fa-spinner fa-spin";
+    kioskTitle.textContent = "Checking…";
+    kioskMessage.textContent = "";
+
+    const result = await CheckInModule.checkInScan(text.trim(), "kiosk");
+    const name = result.data ? result.data.name : "";
+
+    switch (result.state) {
+      case "success":
+        showResult("success", `Welcome, ${name}!`, "You're checked in. Enjoy the event!");
+        break;
+      case "already":
+        showResult("already", `${name}, you're already checked in`,
+          result.time ? `Checked in at ${result.time.toLocaleTimeString()}` : "");
+        break;
+      case "wrongEvent":
+        showResult("wrongEvent", "Wrong event", "This ticket is for a different event. Please see the help desk.");
+        break;
+      case "waitlisted":
+        showResult("waitlisted", `${name}, you're on the waitlist`, "Please see the help desk.");
+        break;
+      case "notFound":
+        showResult("notFound", "Registration not found", "Please see the help desk.");
+        break;
+      default:
+        showResult(result.state, "Ticket not accepted", "Please see the help desk.");
+    }
+  }
+
+  /**
+   * Show a big coloured result, then reset to "ready"
+   */
+  function showResult(state, title, message, autoReset = true) {
+    const style = RESULT_STYLES[state] || RESULT_STYLES.error;
+    kioskResult.className = `kiosk-result ${style.tone}`;
+    kioskIcon.className = `fas ${style.icon}`;
+    kioskTitle.textContent = title;
+    kioskMessage.textContent = message;
+    tone(style.tone);
+
+    clearTimeout(resetTimer);
+    if (autoReset) resetTimer = setTimeout(showReady, RESET_DELAY);
+  }
+
+  /**
+   * Idle screen between attendees
+   */
+  function showReady() {
+    busy = false;
+    kioskResult.className = "kiosk-result ready";
+    kioskIcon.className = "fas fa-qrcode";
+    kioskTitle.textContent = "Ready to scan";
+    kioskMessage.textContent = "Hold your QR code up to the camera";
+  }
+
+  // --- Exit PIN ---
+  function showUnlock() {
+    unlockPin.value = "";
+    unlockError.textContent = "";
+    unlockForm.style.display = "";
+    unlockPin.focus();
+  }
+
+  function hideUnlock() {
+    unlockForm.style.display = "none";
+  }
+
+  async function handleUnlock(e) {
+    e.preventDefault();
+    const saved = loadState();
+    // No stored PIN hash means nothing to check against — stay locked
+    if (!saved || !saved.pinHash) {
+      unlockError.textContent = "Kiosk PIN not found — ask an organiser";
+      unlockPin.value = "";
+      return;
+    }
+    if ((await hashPin(unlockPin.value.trim())) !== saved.pinHash) {
+      unlockError.textContent = "Incorrect PIN";
+      unlockPin.value = "";
+      return;
+    }
+    await stop();
+    showToast("Kiosk mode ended", "info");
+  }
+
+  // --- Helpers ---
+  function isActive() {
+    return overlay.style.display !== "none";
+  }
+
+  function loadState() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch (_) {
+      return null;
+    }
+  }
+
+  async function hashPin(pin) {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`tfn-kiosk:${pin}`));
+    return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+  }
+
+  function requestFullscreen() {
+    const el = document.documentElement;
+    if (el.requestFullscreen) el.requestFullscreen().catch(() => {});
+  }
+
+  /**
+   * Short audio cue: rising for green, single for amber, low for red
+   */
+  function tone(kind) {
+    try {
+      if (!audioCtx) audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+      const ctx = audioCtx;
+      if (ctx.state === "suspended") ctx.resume();
+      const notes = { green: [660, 880], amber: [660], red: [220] }[kind] || [];
+      notes.forEach((freq, i) => {
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.connect(gain);
+        gain.connect(ctx.destination);
+        osc.frequency.value = freq;
+        gain.gain.value = 0.15;
+        osc.start(ctx.currentTime + i * 0.15);
+        osc.stop(ctx.currentTime + i * 0.15 + (kind === "red" ? 0.4 : 0.15));
+      });
+    } catch (_) { /* Audio not supported */ }
+  }
+
+  // Public API
+  return { init, restore };
+})();
@@ -0,0 +1,382 @@
+/**
+ * ============================================
+ * Manual Lookup Module
+ * ============================================
+ *
+ * Handles:
+ * - Searching the selected event's roster by partial name, email, mobile or PRN
+ *   as the operator types (tolerates small typos)
+ * - Showing a short list of matches (name, PRN, year, status)
+ * - Picking a match with a click or the keyboard (↑ / ↓ / Enter)
+ *
+ * Online, the roster comes from a Firestore snapshot listener, so statuses and
+ * walk-ins added on other devices stay current while the operator types.
+ * Offline, it searches the roster cached in IndexedDB by OfflineModule (which
+ * also holds check-ins queued on this device). The listener runs while the
+ * Check-In page is open; see stop(). The check-in itself is left to the
+ * callback given to init().
+ */
+
+const LookupModule = (() => {
+  // --- DOM Elements ---
+  const input       = document.getElementById("manualPRN");
+  const lookupBtn   = document.getElementById("manualCheckInBtn");
+  const resultsList = document.getElementById("manualResults");
+
+  const MAX_RESULTS = 8;
+  const MIN_QUERY = 2;
+  const DEBOUNCE = 150;   // ms
+
+  let onPick = () => {};
+  let roster = [];          // Search entries for rosterEventId
+  let rosterEventId = null;
+  let liveRoster = null;    // Entries from the snapshot listener (null until the first snapshot)
+  let liveEventId = null;   // Event the listener is subscribed to
+  let unsubscribe = null;
+  let matches = [];
+  let active = -1;          // Highlighted match (-1 = none)
+  let searchedQuery = "";   // Input the current matches were found for
+  let debounceTimer = null;
+
+  /**
+   * Initialize event listeners
+   * @param {Function} pickCallback - Called with the PRN to check in
+   */
+  function init(pickCallback) {
+    onPick = pickCallback;
+
+    input.addEventListener("focus", loadRoster);
+    input.addEventListener("input", () => {
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(search, DEBOUNCE);
+    });
+    input.addEventListener("keydown", handleKeydown);
+    input.addEventListener("blur", hide);
+    lookupBtn.addEventListener("click", submit);
+
+    // mousedown keeps focus in the input; click picks
+    resultsList.addEventListener("mousedown", (e) => e.preventDefault());
+    resultsList.addEventListener("click", (e) => {
+      const item = e.target.closest(".lookup-item");
+      if (item) pick(Number(item.dataset.index));
+    });
+
+    // The next focus subscribes to the new event
+    EventsModule.onEventChange(stop);
+  }
+
+  /**
+   * Load the selected event's roster into memory for searching
+   * Online this is the live roster; offline (or until the first snapshot
+   * arrives) the cached one is re-read on every focus.
+   */
+  async function loadRoster() {
+    const eventId = EventsModule.getSelectedEventId();
+    if (!eventId) return;
+
+    if (OfflineModule.isOnline()) {
+      subscribe(eventId);
+      if (liveRoster) {
+        useRoster(eventId, liveRoster);
+        return;
+      }
+    }
+
+    try {
+      const records = await OfflineModule.getRoster(eventId);
+      if (liveRoster && OfflineModule.isOnline()) return;   // First snapshot arrived meanwhile
+      roster = records.map(toEntry);
+      rosterEventId = eventId;
+    } catch (err) {
+      console.error("Could not load roster for lookup:", err);
+    }
+  }
+
+  /**
+   * Keep liveRoster in step with Firestore
+   */
+  function subscribe(eventId) {
+    if (liveEventId === eventId) return;
+    stop();
+    liveEventId = eventId;
+    unsubscribe = attendeesRef.where("eventId", "==", eventId).onSnapshot(
+      (snapshot) => {
+        liveRoster = snapshot.docs.map((doc) => toEntry(doc.data({ serverTimestamps: "estimate" })));
+        // Offline, the cached roster knows about queued check-ins; the listener doesn't
+        if (OfflineModule.isOnline()) useRoster(eventId, liveRoster);
+      },
+      (err) => {
+        console.error("Lookup roster listener stopped:", err);
+        stop();
+      }
+    );
+  }
+
+  /**
+   * Stop the live roster (leaving the Check-In page, signing out, switching events)
+   */
+  function stop() {
+    if (unsubscribe) unsubscribe();
+    unsubscribe = null;
+    liveEventId = null;
+    liveRoster = null;
+    rosterEventId = null;
+  }
+
+  /**
+   * Search a new roster; an open match list keeps its order but shows current statuses
+   */
+  function useRoster(eventId, entries) {
+    roster = entries;
+    rosterEventId = eventId;
+    if (matches.length > 0) {
+      const byPrn = new Map(entries.map((entry) => [entry.record.prn, entry.record]));
+      matches = matches.map((a) => byPrn.get(a.prn) || a);
+      render();
+    }
+  }
+
+  /**
+   * Precompute the normalized fields of an attendee for matching
+   */
+  function toEntry(record) {
+    const name = normalize(record.name);
+    const email = normalize(record.email);
+    return {
+      record,
+      name,
+      nameTokens: name.split(/[^a-z0-9]+/).filter(Boolean),
+      email,
+      emailLocal: email.split("@")[0],
+      mobile: String(record.mobile || "").replace(/\D/g, ""),
+      prn: normalize(record.prn)
+    };
+  }
+
+  /**
+   * Lowercase, trim and strip accents
+   */
+  function normalize(str) {
+    return String(str || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().trim();
+  }
+
+  /**
+   * Search the roster for the current input and render the matches
+   */
+  async function search() {
+    const query = normalize(input.value);
+    searchedQuery = query;
+    if (query.length < MIN_QUERY) {
+      hide();
+      return;
+    }
+    if (rosterEventId !== EventsModule.getSelectedEventId()) {
+      await loadRoster();
+      if (normalize(input.value) !== query) return;   // Typed on (or picked) meanwhile
+    }
+
+    matches = roster
+      .map((entry) => ({ entry, score: scoreEntry(entry, query) }))
+      .filter((m) => m.score > 0)
+      .sort((a, b) => b.score - a.score || a.entry.name.localeCompare(b.entry.name))
+      .slice(0, MAX_RESULTS)
+      .map((m) => m.entry.record);
+    active = matches.length > 0 ? 0 : -1;
+    render();
+  }
+
+  /**
+   * How well an attendee matches the query (0 = not at all)
+   * Exact PRN > prefix > substring > fuzzy (typo-tolerant) name / email.
+   */
+  function scoreEntry(entry, query) {
+    if (entry.prn === query) return 1000;
+
+    let score = 0;
+    const bump = (value) => { score = Math.max(score, value); };
+
+    if (entry.prn.startsWith(query)) bump(400);
+    else if (entry.prn.includes(query)) bump(200);
+
+    if (entry.name.startsWith(query)) bump(350);
+    else if (entry.name.includes(query)) bump(300);
+
+    if (entry.email.startsWith(query)) bump(300);
+    else if (entry.email.includes(query)) bump(250);
+
+    // Mobile: only for numeric queries (spaces, +, - and brackets allowed)
+    const digits = query.replace(/\D/g, "");
+    if (digits.length >= 3 && /^[\d\s+\-()]+$/.test(query) && entry.mobile.includes(digits)) bump(300);
+
+    if (score > 0) return score;
+
+    // Typo tolerance: every word typed must be close to a word of the name
+    const words = query.split(/[^a-z0-9]+/).filter(Boolean);
+    if (words.length > 0 && entry.nameTokens.length > 0) {
+      const wordScores = words.map((w) => Math.max(...entry.nameTokens.map((t) => wordScore(w, t))));
+      if (wordScores.every((s) => s > 0)) {
+        bump(100 * wordScores.reduce((a, b) => a + b, 0) / wordScores.length);
+      }
+    }
+
+    // ...or close to the start of the email address
+    if (query.length >= 4 && distance(query, entry.emailLocal.slice(0, query.length)) <= allowedTypos(query)) bump(80);
+
+    return score;
+  }
+
+  /**
+   * Match quality of one typed word against one name word (0 = no match)
+   */
+  function wordScore(word, token) {
+    if (token.startsWith(word)) return 1;
+    const allowed = allowedTypos(word);
+    if (allowed === 0) return 0;
+    // Compare with the whole word and with a same-length prefix (still typing)
+    const d = Math.min(distance(word, token), distance(word, token.slice(0, word.length)));
+    return d <= allowed ? 0.8 - 0.2 * d : 0;
+  }
+
+  /**
+   * Typos tolerated for a word of this length
+   */
+  function allowedTypos(word) {
+    if (word.length < 4) return 0;
+    return word.length < 7 ? 1 : 2;
+  }
+
+  /**
+   * Edit distance counting insertions, deletions, substitutions and
+   * swapped neighbours as one edit each
+   */
+  function distance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return rows[a.length][b.length];
+  }
+
+  /**
+   * Render the match list
+   */
+  function render() {
+    if (matches.length === 0) {
+      resultsList.innerHTML = `<li class="lookup-empty">No matches — press Enter to look up "${escapeHtml(input.value.trim())}" as a PRN</li>`;
+      resultsList.style.display = "";
+      return;
+    }
+
+    const sessionId = EventsModule.getActiveSessionId();
+    resultsList.innerHTML = matches
+      .map((a, i) => {
+        const checkedIn = isCheckedIn(a, sessionId);
+        const status = checkedIn ? "checked-in" : a.waitlisted ? "waitlisted" : "pending";
+        return `
+          <li class="lookup-item${i === active ? " active" : ""}" data-index="${i}">
+            <div class="lookup-main">
+              <strong>${escapeHtml(a.name)}</strong>
+              <span class="lookup-meta">${escapeHtml(a.prn)}${a.year ? ` · ${escapeHtml(a.year)}` : ""}</span>
+            </div>
+            <span class="status-badge ${status}">
+              ${{ "checked-in": "Checked In", waitlisted: "Waitlisted", pending: "Pending" }[status]}
+            </span>
+          </li>`;
+      })
+      .join("");
+    resultsList.style.display = "";
+  }
+
+  /**
+   * Arrow keys move the highlight, Enter checks in, Escape closes the list
+   */
+  function handleKeydown(e) {
+    const open = resultsList.style.display !== "none" && matches.length > 0;
+
+    if (e.key === "ArrowDown" && open) {
+      e.preventDefault();
+      setActive((active + 1) % matches.length);
+    } else if (e.key === "ArrowUp" && open) {
+      e.preventDefault();
+      setActive((active - 1 + matches.length) % matches.length);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      submit();
+    } else if (e.key === "Escape") {
+      hide();
+    }
+  }
+
+  function setActive(index) {
+    active = index;
+    resultsList.querySelectorAll(".lookup-item").forEach((li, i) => {
+      li.classList.toggle("active", i === active);
+      if (i === active) li.scrollIntoView({ block: "nearest" });
+    });
+  }
+
+  /**
+   * Enter / Look Up: the highlighted match, else the input as an exact PRN
+   */
+  async function submit() {
+    // Typed faster than the debounce: match the input as it is now, never the
+    // previous query's highlighted person
+    clearTimeout(debounceTimer);
+    if (normalize(input.value) !== searchedQuery) await search();
+
+    const open = resultsList.style.display !== "none";
+    if (open && active >= 0 && matches[active]) {
+      pick(active);
+      return;
+    }
+
+    const prn = input.value.trim();
+    if (!prn) {
+      showToast("Please enter a PRN, name, email or mobile", "warning");
+      return;
+    }
+    done(prn);
+  }
+
+  function pick(index) {
+    done(matches[index].prn);
+  }
+
+  function done(prn) {
+    input.value = "";
+    hide();
+    onPick(prn);
+    if (!liveRoster) rosterEventId = null;   // Re-read the cache on next focus so the status is current
+  }
+
+  /**
+   * Close the match list
+   */
+  function hide() {
+    matches = [];
+    active = -1;
+    resultsList.innerHTML = "";
+    resultsList.style.display = "none";
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   */
+  function escapeHtml(str) {
+    if (!str) return "";
+    const div = document.createElement("div");
+    div.textContent = str;
+    return div.innerHTML;
+  }
+
+  // Public API
+  return { init, stop };
+})();
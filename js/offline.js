@@ -0,0 +1,326 @@
+/**
+ * ============================================
+ * Offline Check-In Store
+ * ============================================
+ *
+ * Handles:
+ * - Caching the selected event's roster (and QR key) in IndexedDB
+ * - Looking attendees up while Firestore is unreachable
+ * - Queueing offline check-ins and replaying them when back online
+ * - Reporting conflicts (checked in elsewhere / removed / waitlisted) instead of overwriting
+ *
+ * IndexedDB "tfn-checkin":
+ *   roster  — one record per attendee doc (keyPath "id"), indexed by [eventId, prn]
+ *   queue   — pending check-ins (auto-increment "qid")
+ *   secrets — cached QR key per event (keyPath "eventId")
+ */
+
+const OfflineModule = (() => {
+  const DB_NAME = "tfn-checkin";
+  const DB_VERSION = 1;
+  const DEVICE_KEY = "tfn_device_id";
+
+  let dbPromise = null;
+
+  // Stable per-browser ID, stamped on check-ins to tell our own writes apart
+  const deviceId = localStorage.getItem(DEVICE_KEY) || (() => {
+    const id = crypto.getRandomValues(new Uint32Array(2)).join("-");
+    localStorage.setItem(DEVICE_KEY, id);
+    return id;
+  })();
+
+  /**
+   * Open (and upgrade) the IndexedDB database
+   * @returns {Promise<IDBDatabase>}
+   */
+  function openDB() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          const idb = req.result;
+          const roster = idb.createObjectStore("roster", { keyPath: "id" });
+          roster.createIndex("eventPrn", ["eventId", "prn"]);
+          roster.createIndex("eventId", "eventId");
+          idb.createObjectStore("queue", { keyPath: "qid", autoIncrement: true });
+          idb.createObjectStore("secrets", { keyPath: "eventId" });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => {
+          dbPromise = null;
+          reject(req.error);
+        };
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Run a function against object stores inside one transaction
+   * @param {string[]} stores
+   * @param {"readonly"|"readwrite"} mode
+   * @param {Function} fn - (tx) → IDBRequest | value
+   * @returns {Promise<*>} Request result (or fn's return value)
+   */
+  async function withStores(stores, mode, fn) {
+    const idb = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = idb.transaction(stores, mode);
+      const out = fn(tx);
+      tx.oncomplete = () => resolve(out instanceof IDBRequest ? out.result : out);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Whether the browser reports a network connection
+   */
+  function isOnline() {
+    return navigator.onLine;
+  }
+
+  /**
+   * Download the event's roster (and QR key) into IndexedDB
+   * @param {string} eventId
+   * @returns {Promise<number>} Number of attendees cached
+   */
+  async function cacheRoster(eventId) {
+    const [snapshot, secret] = await Promise.all([
+      attendeesRef.where("eventId", "==", eventId).get(),
+      db.collection("eventSecrets").doc(eventId).get()
+    ]);
+    const queued = new Set((await getQueue()).map((item) => item.id));
+
+    await withStores(["roster", "secrets"], "readwrite", (tx) => {
+      const roster = tx.objectStore("roster");
+      // Replace this event's records; keep local check-ins that haven't synced yet
+      roster.index("eventId").openCursor(IDBKeyRange.only(eventId)).onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor) {
+          snapshot.docs.forEach((doc) => {
+            if (!queued.has(doc.id)) roster.put(toRecord(doc.id, doc.data()));
+          });
+          return;
+        }
+        if (!queued.has(cursor.primaryKey)) cursor.delete();
+        cursor.continue();
+      };
+      if (secret.exists && secret.data().key) {
+        tx.objectStore("secrets").put({ eventId, key: secret.data().key, cachedAt: Date.now() });
+      }
+    });
+
+    return snapshot.size;
+  }
+
+  /**
+   * Plain, IndexedDB-friendly copy of an attendee document
+   */
+  function toRecord(id, data) {
+    return {
+      id,
+      eventId:     data.eventId,
+      name:        data.name || "",
+      prn:         data.prn || "",
+      email:       data.email || "",
+      mobile:      data.mobile || "",
+      year:        data.year || "",
+      guestsAllowed: data.guestsAllowed || 0,
+      guestsArrived: data.guestsArrived || 0,
+      waitlisted:  !!data.waitlisted,
+      custom:      data.custom || {},
+      checkedIn:   !!data.checkedIn,
+      checkInTime: toMillis(data.checkInTime),
+      attendance:  Object.fromEntries(
+        Object.entries(data.attendance || {}).map(([sessionId, time]) => [sessionId, toMillis(time)])
+      )
+    };
+  }
+
+  function toMillis(time) {
+    return time && time.toMillis ? time.toMillis() : null;
+  }
+
+  /**
+   * Cached record with a check-in applied (event-wide and, if given, for the session)
+   */
+  function withCheckIn(record, sessionId, time) {
+    const updated = { ...record, checkedIn: true, checkInTime: record.checkInTime || time };
+    if (sessionId) updated.attendance = { ...(record.attendance || {}), [sessionId]: time };
+    return updated;
+  }
+
+  /**
+   * Cached base64 QR key of an event (null if never cached)
+   */
+  async function getCachedKey(eventId) {
+    const record = await withStores(["secrets"], "readonly", (tx) => tx.objectStore("secrets").get(eventId));
+    return record ? record.key : null;
+  }
+
+  /**
+   * Whether a roster has been cached for the event
+   */
+  async function hasRoster(eventId) {
+    const count = await withStores(["roster"], "readonly", (tx) =>
+      tx.objectStore("roster").index("eventId").count(IDBKeyRange.only(eventId))
+    );
+    return count > 0;
+  }
+
+  /**
+   * Look up a cached attendee by PRN
+   * @returns {Promise<Object|undefined>} Roster record
+   */
+  function findAttendee(eventId, prn) {
+    return withStores(["roster"], "readonly", (tx) =>
+      tx.objectStore("roster").index("eventPrn").get([eventId, prn])
+    );
+  }
+
+  /**
+   * All cached attendees of an event (for name / email / mobile search)
+   * @returns {Promise<Object[]>} Roster records
+   */
+  function getRoster(eventId) {
+    return withStores(["roster"], "readonly", (tx) =>
+      tx.objectStore("roster").index("eventId").getAll(IDBKeyRange.only(eventId))
+    );
+  }
+
+  /**
+   * Keep the cached record in step with a check-in made online
+   */
+  async function markCheckedIn(id, sessionId = null, time = Date.now()) {
+    await withStores(["roster"], "readwrite", (tx) => {
+      const store = tx.objectStore("roster");
+      store.get(id).onsuccess = (e) => {
+        const record = e.target.result;
+        if (record) store.put(withCheckIn(record, sessionId, time));
+      };
+    });
+  }
+
+  /**
+   * Replace the cached copy of an attendee (e.g. after an undo)
+   */
+  function putRecord(id, data) {
+    return withStores(["roster"], "readwrite", (tx) => {
+      tx.objectStore("roster").put(toRecord(id, data));
+    });
+  }
+
+  /**
+   * Record an offline check-in and mark the cached attendee as checked in
+   * @param {Object} record - Roster record
+   * @param {string|null} sessionId - Session being checked in to
+   * @returns {Promise<number>} Check-in time (ms)
+   */
+  async function queueCheckIn(record, sessionId = null) {
+    const at = Date.now();
+    await withStores(["roster", "queue"], "readwrite", (tx) => {
+      tx.objectStore("roster").put(withCheckIn(record, sessionId, at));
+      tx.objectStore("queue").add({
+        id: record.id,
+        eventId: record.eventId,
+        sessionId,
+        prn: record.prn,
+        name: record.name,
+        at,
+        stamp: AttendanceModule.currentStamp()   // Operator + station at scan time
+      });
+    });
+    return at;
+  }
+
+  /**
+   * All queued check-ins, oldest first
+   */
+  function getQueue() {
+    return withStores(["queue"], "readonly", (tx) => tx.objectStore("queue").getAll());
+  }
+
+  /**
+   * Number of check-ins waiting to sync
+   */
+  function pendingCount() {
+    return withStores(["queue"], "readonly", (tx) => tx.objectStore("queue").count());
+  }
+
+  function removeFromQueue(qid) {
+    return withStores(["queue"], "readwrite", (tx) => tx.objectStore("queue").delete(qid));
+  }
+
+  /**
+   * Replay queued check-ins against Firestore
+   * A check-in only lands if the attendee is still pending; anything else is
+   * returned as a conflict and dropped from the queue (never overwritten).
+   * @returns {Promise<{synced: number, conflicts: Object[]}>}
+   *   conflicts: [{ name, prn, at, reason }]
+   */
+  async function replay() {
+    const queue = await getQueue();
+    const result = { synced: 0, conflicts: [] };
+
+    for (const item of queue) {
+      const ref = attendeesRef.doc(item.id);
+      let outcome;
+      try {
+        outcome = await db.runTransaction(async (tx) => {
+          const doc = await tx.get(ref);
+          if (!doc.exists) return { reason: "Removed from the event" };
+
+          const data = doc.data();
+          const sessionId = item.sessionId || null;
+          if (isCheckedIn(data, sessionId)) {
+            // Our own earlier attempt may have landed after all
+            if (data.checkInDevice === deviceId) return { synced: true };
+            const time = checkInTimeOf(data, sessionId);
+            const when = time ? time.toDate().toLocaleString() : "unknown time";
+            return { reason: `Already checked in on another device at ${when}` };
+          }
+          if (data.waitlisted) return { reason: "On the waitlist — admit from the Check-In page" };
+
+          const at = firebase.firestore.Timestamp.fromMillis(item.at);
+          const stamp = item.stamp || AttendanceModule.currentStamp();
+          tx.update(ref, {
+            ...checkInFields(data, sessionId, at),
+            ...AttendanceModule.stampFields(stamp)
+          });
+          AttendanceModule.log(tx, item.id, data, { action: "check-in", sessionId, source: "offline", at, stamp });
+          return { synced: true };
+        });
+      } catch (err) {
+        // Still offline (or a transient failure) — keep the rest queued
+        console.error("Offline replay stopped:", err);
+        break;
+      }
+
+      if (outcome.synced) {
+        result.synced++;
+      } else {
+        result.conflicts.push({ name: item.name, prn: item.prn, at: item.at, reason: outcome.reason });
+      }
+      await removeFromQueue(item.qid);
+    }
+
+    return result;
+  }
+
+  // Public API
+  return {
+    deviceId,
+    isOnline,
+    cacheRoster,
+    getCachedKey,
+    hasRoster,
+    findAttendee,
+    getRoster,
+    markCheckedIn,
+    putRecord,
+    queueCheckIn,
+    pendingCount,
+    replay
+  };
+})();
@@ -0,0 +1,315 @@
+/**
+ * ============================================
+ * QR Payload Signing Module
+ * ============================================
+ *
+ * Handles:
+ * - Per-event HMAC keys (stored in the "eventSecrets" collection)
+ * - Building signed QR payloads that carry event ID + PRN + signature
+ * - Verifying scanned payloads before any attendee lookup
+ * - Rendering QR codes on demand (nothing image-based is stored)
+ * - Migrating attendees off stored base64 "qrData" images (and publishing
+ *   their participant portal tickets)
+ *
+ * Payload format:
+ *   TFN1.<eventId>.<base64url(PRN)>.<base64url(HMAC-SHA256 of the first three parts)>
+ *
+ * Firestore Schema:
+ * Collection: "eventSecrets" (document ID = event ID)
+ *   - key       (string)    : Base64 HMAC key — signed-in admins only (see firestore.rules)
+ *   - createdAt (timestamp) : When the key was generated
+ */
+
+const QRModule = (() => {
+  const PAYLOAD_VERSION = "TFN1";
+  const SIGNATURE_BYTES = 16;   // Truncated HMAC keeps the QR small
+
+  const secretsRef = db.collection("eventSecrets");
+  const keyCache = {};           // eventId → Promise<CryptoKey|null>
+  // Attendees per batch — each also writes its tickets (Firestore allows 500 writes)
+  const MIGRATE_BATCH_SIZE = Math.floor(400 / (1 + TicketsModule.WRITES_PER_ATTENDEE));
+  const KEY_TIMEOUT = 8000;      // Fall back to the offline key after this (ms)
+
+  /**
+   * Get (and optionally create) the HMAC key of an event
+   * @param {string} eventId
+   * @param {boolean} create - Generate a key if the event has none yet
+   * @returns {Promise<CryptoKey|null>}
+   */
+  function getEventKey(eventId, create = true) {
+    if (!keyCache[eventId]) {
+      keyCache[eventId] = loadEventKey(eventId, create).then(
+        (key) => {
+          // Never cache "no key" — another device may create it later
+          if (!key) delete keyCache[eventId];
+          return key;
+        },
+        (err) => {
+          delete keyCache[eventId];
+          throw err;
+        }
+      );
+    }
+    return keyCache[eventId].then((key) => {
+      // Joined a lookup made without create — retry, creating this time
+      if (!key && create) return getEventKey(eventId, true);
+      return key;
+    });
+  }
+
+  async function loadEventKey(eventId, create) {
+    // Offline, verification uses the key cached alongside the roster
+    if (!create && !OfflineModule.isOnline()) return loadCachedKey(eventId);
+
+    const ref = secretsRef.doc(eventId);
+    let doc;
+    try {
+      doc = await withTimeout(ref.get(), KEY_TIMEOUT);
+    } catch (err) {
+      // Online but Firestore unreachable (bad signal) — same fallback
+      if (create || !isConnectivityError(err)) throw err;
+      return loadCachedKey(eventId);
+    }
+    if (doc.exists && doc.data().key) return importKey(base64ToBytes(doc.data().key));
+    if (!create) return null;
+
+    // Two devices may upload to a new event at once: whoever commits first sets
+    // the key, the other transaction retries and reads it
+    const key = await db.runTransaction(async (tx) => {
+      const current = await tx.get(ref);
+      if (current.exists && current.data().key) return current.data().key;
+      const generated = bytesToBase64(crypto.getRandomValues(new Uint8Array(32)));
+      tx.set(ref, {
+        key: generated,
+        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+      });
+      return generated;
+    });
+    return importKey(base64ToBytes(key));
+  }
+
+  async function loadCachedKey(eventId) {
+    const cached = await OfflineModule.getCachedKey(eventId);
+    if (!cached) throw new Error(`No offline key cached for event ${eventId}`);
+    return importKey(base64ToBytes(cached));
+  }
+
+  function importKey(raw) {
+    return crypto.subtle.importKey("raw", raw, { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  }
+
+  /**
+   * Build a signed QR payload for an attendee
+   * @param {string} eventId
+   * @param {string} prn
+   * @returns {Promise<string>}
+   */
+  async function buildPayload(eventId, prn) {
+    const key = await getEventKey(eventId, true);
+    const body = `${PAYLOAD_VERSION}.${eventId}.${toBase64Url(new TextEncoder().encode(prn))}`;
+    return `${body}.${await signBody(key, body)}`;
+  }
+
+  /**
+   * Verify a scanned payload against the selected event
+   * @param {string} text - Decoded QR text
+   * @param {string} eventId - Event being checked in
+   * @returns {Promise<{status: "valid"|"forged"|"altered"|"wrong-event", prn?: string, eventId?: string}>}
+   *   forged      — not a signed TFN code at all (e.g. a bare PRN)
+   *   altered     — TFN format, but the signature doesn't match its contents
+   *   wrong-event — genuine code issued for a different event
+   */
+  async function verifyPayload(text, eventId) {
+    const parts = String(text).trim().split(".");
+    if (parts.length !== 4 || parts[0] !== PAYLOAD_VERSION || !parts[1] || !parts[2] || !parts[3]) {
+      return { status: "forged" };
+    }
+
+    const [version, codeEventId, prnPart, signature] = parts;
+    let prn;
+    try {
+      prn = new TextDecoder("utf-8", { fatal: true }).decode(fromBase64Url(prnPart));
+    } catch (_) {
+      return { status: "altered" };
+    }
+
+    const body = `${version}.${codeEventId}.${prnPart}`;
+    const key = await getEventKey(codeEventId, false);
+    if (!key || (await signBody(key, body)) !== signature) {
+      return { status: "altered" };
+    }
+
+    if (codeEventId !== eventId) {
+      return { status: "wrong-event", prn, eventId: codeEventId };
+    }
+    return { status: "valid", prn };
+  }
+
+  /**
+   * Render text to a QR PNG data URL
+   * @param {string} data - Text to encode
+   * @returns {Promise<string>} Base64 data URL of the QR PNG
+   */
+  function toDataURL(data) {
+    return new Promise((resolve) => {
+      // Create a temporary off-screen container (not display:none so canvas renders)
+      const tempDiv = document.createElement("div");
+      tempDiv.style.cssText = "position:absolute;left:-9999px;top:-9999px;";
+      document.body.appendChild(tempDiv);
+
+      // Generate QR
+      new QRCode(tempDiv, {
+        text: data,
+        width: 256,
+        height: 256,
+        colorDark: "#1e293b",
+        colorLight: "#ffffff",
+        correctLevel: QRCode.CorrectLevel.H
+      });
+
+      // Wait for the canvas to render
+      setTimeout(() => {
+        const canvas = tempDiv.querySelector("canvas");
+        const dataUrl = canvas ? canvas.toDataURL("image/png") : "";
+        tempDiv.remove();
+        resolve(dataUrl);
+      }, 50);
+    });
+  }
+
+  /**
+   * Render a QR code into a container (replaces its contents)
+   * @param {HTMLElement} container
+   * @param {string} data - Text to encode
+   * @param {number} size - Width/height in pixels
+   */
+  function render(container, data, size = 256) {
+    container.innerHTML = "";
+    if (!data) {
+      container.textContent = "No QR code";
+      return;
+    }
+    new QRCode(container, {
+      text: data,
+      width: size,
+      height: size,
+      colorDark: "#1e293b",
+      colorLight: "#ffffff",
+      correctLevel: QRCode.CorrectLevel.H
+    });
+  }
+
+  /**
+   * Decode a QR data URL back to text (used to confirm regenerated codes scan)
+   * @param {string} dataUrl
+   * @returns {Promise<string>}
+   */
+  async function decodeDataURL(dataUrl) {
+    const blob = await (await fetch(dataUrl)).blob();
+    const file = new File([blob], "qr.png", { type: "image/png" });
+    const reader = new Html5Qrcode("qrMigrateReader");
+    try {
+      return await reader.scanFile(file, false);
+    } finally {
+      reader.clear();
+    }
+  }
+
+  /**
+   * Migrate one event's attendees off stored QR images
+   * Each attendee gets a signed qrPayload (if missing); the regenerated code is
+   * rendered and decoded back, and qrData is only stripped once it scans.
+   * Every attendee's participant portal tickets are (re)published on the way,
+   * so events from before tickets existed can be found in the portal.
+   * @param {string} eventId
+   * @param {Function} onProgress - (done, total) callback
+   * @returns {Promise<{migrated: number, unchanged: number, failed: number}>}
+   */
+  async function migrateEvent(eventId, onProgress = () => {}) {
+    const snapshot = await attendeesRef.where("eventId", "==", eventId).get();
+    const docs = snapshot.docs;
+
+    const result = { migrated: 0, unchanged: 0, failed: 0 };
+    let batch = db.batch();
+    let pending = 0;
+
+    for (let i = 0; i < docs.length; i++) {
+      const data = docs[i].data();
+      try {
+        if (data.qrData !== undefined || !data.qrPayload) {
+          const payload = data.qrPayload || (await buildPayload(eventId, data.prn));
+          const scanned = await decodeDataURL(await toDataURL(payload));
+          if (scanned !== payload) throw new Error("Decoded text does not match payload");
+
+          batch.update(docs[i].ref, {
+            qrPayload: payload,
+            qrData: firebase.firestore.FieldValue.delete()
+          });
+          data.qrPayload = payload;
+          result.migrated++;
+        } else {
+          result.unchanged++;
+        }
+        await TicketsModule.write(batch, data);
+        pending++;
+      } catch (err) {
+        console.error(`QR migration failed for ${data.prn}:`, err);
+        result.failed++;
+      }
+
+      if (pending === MIGRATE_BATCH_SIZE) {
+        await batch.commit();
+        batch = db.batch();
+        pending = 0;
+      }
+      onProgress(i + 1, docs.length);
+    }
+
+    if (pending > 0) await batch.commit();
+    return result;
+  }
+
+  async function signBody(key, body) {
+    const mac = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(body));
+    return toBase64Url(new Uint8Array(mac).slice(0, SIGNATURE_BYTES));
+  }
+
+  /**
+   * Reject if a Firestore call doesn't settle in time (bad signal hangs instead of failing)
+   */
+  function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(Object.assign(new Error("Request timed out"), { code: "timeout" })), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Whether an error means Firestore couldn't be reached
+   */
+  function isConnectivityError(err) {
+    return err.code === "unavailable" || err.code === "timeout" || /offline/i.test(err.message || "");
+  }
+
+  // --- Base64 helpers ---
+  function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+  }
+
+  function base64ToBytes(str) {
+    return Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+  }
+
+  function toBase64Url(bytes) {
+    return bytesToBase64(bytes).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
+
+  function fromBase64Url(str) {
+    const b64 = str.replace(/-/g, "+").replace(/_/g, "/");
+    return base64ToBytes(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  }
+
+  // Public API
+  return { buildPayload, verifyPayload, toDataURL, render, migrateEvent };
+})();
@@ -0,0 +1,273 @@
+/**
+ * ============================================
+ * Re-Import Sync Module
+ * ============================================
+ *
+ * Handles:
+ * - Comparing a re-exported file with the event's current attendees
+ * - Diff preview: new, changed (field by field, incl. custom fields), unchanged, missing from file
+ * - Applying selected changes in chunked batches
+ *
+ * Sync only ever writes registration fields — checkedIn / checkInTime are
+ * never part of an update, and checked-in attendees can't be removed.
+ */
+
+const SyncModule = (() => {
+  // --- DOM Elements ---
+  const syncContainer = document.getElementById("syncContainer");
+  const syncSummary   = document.getElementById("syncSummary");
+  const syncBody      = document.getElementById("syncBody");
+  const applySyncBtn  = document.getElementById("applySyncBtn");
+  const cancelSyncBtn = document.getElementById("cancelSyncBtn");
+  const syncSelectAll = document.getElementById("syncSelectAll");
+
+  // Registration fields compared and written by sync
+  const SYNC_FIELDS = ["name", "email", "mobile", "year"];
+  // Firestore allows 500 writes per batch; each attendee also moves its tickets
+  // (plus a log entry for removals)
+  const BATCH_SIZE = Math.floor(400 / (2 + TicketsModule.WRITES_PER_ATTENDEE));
+
+  const KIND_LABELS = {
+    new:       { label: "New",       icon: "fa-user-plus" },
+    changed:   { label: "Changed",   icon: "fa-pen" },
+    missing:   { label: "Missing from file", icon: "fa-user-minus" },
+    unchanged: { label: "Unchanged", icon: "fa-equals" }
+  };
+
+  let diff = [];            // [{ kind, prn, row, existing, changes }]
+  let currentEventId = null;
+  let buildDoc = null;      // Supplied by UploadModule to build new documents
+  let comparedFields = [];  // SYNC_FIELDS the file has a column for
+
+  /**
+   * Initialize event listeners
+   */
+  function init() {
+    applySyncBtn.addEventListener("click", applySelected);
+    cancelSyncBtn.addEventListener("click", hide);
+    syncSelectAll.addEventListener("change", () => {
+      syncBody.querySelectorAll(".sync-select:not(:disabled)").forEach((cb) => {
+        cb.checked = syncSelectAll.checked;
+      });
+    });
+  }
+
+  /**
+   * Compare file rows against the event's attendees and show the diff
+   * @param {Object[]} rows - Validated rows from the file
+   * @param {string} eventId - Selected event
+   * @param {Function} docBuilder - (row, eventId) → new attendee document
+   * @param {string[]} mappedFields - Attendee fields the file has a column for
+   */
+  async function showDiff(rows, eventId, docBuilder, mappedFields) {
+    currentEventId = eventId;
+    buildDoc = docBuilder;
+    // A column missing from the re-export must not read as "cleared"
+    comparedFields = SYNC_FIELDS.filter((field) => mappedFields.includes(field));
+
+    try {
+      const snapshot = await attendeesRef.where("eventId", "==", eventId).get();
+      const existing = snapshot.docs.map((doc) => ({ ref: doc.ref, ...doc.data() }));
+      diff = computeDiff(rows, existing);
+      render();
+    } catch (err) {
+      console.error("Failed to load attendees for sync:", err);
+      showToast("Could not load current attendees for comparison", "error");
+    }
+  }
+
+  /**
+   * Classify every PRN in the file and the event
+   * @param {Object[]} rows - File rows
+   * @param {Object[]} existing - Current attendee records (with ref)
+   * @returns {Object[]} Diff entries
+   */
+  function computeDiff(rows, existing) {
+    const byPrn = new Map(existing.map((a) => [a.prn, a]));
+    const inFile = new Set();
+    const result = [];
+
+    rows.forEach((row) => {
+      if (inFile.has(row.prn)) return;
+      inFile.add(row.prn);
+
+      const current = byPrn.get(row.prn);
+      if (!current) {
+        result.push({ kind: "new", prn: row.prn, row });
+        return;
+      }
+
+      const changes = comparedFields
+        .filter((field) => (row[field] || "") !== (current[field] || ""))
+        .map((field) => ({ field, from: current[field] || "", to: row[field] || "" }));
+
+      // Guest allowance, only when the file gives one
+      const guests = Number(row.guests) || 0;
+      if (row.guests && guests !== (current.guestsAllowed || 0)) {
+        changes.push({ field: "guestsAllowed", from: current.guestsAllowed || 0, to: guests });
+      }
+
+      // Custom fields present in the file (columns missing from the file are left alone)
+      const currentCustom = current.custom || {};
+      Object.keys(row.custom || {}).forEach((field) => {
+        const from = currentCustom[field] || "";
+        const to = row.custom[field] || "";
+        if (from !== to) changes.push({ field, from, to, custom: true });
+      });
+
+      result.push({ kind: changes.length ? "changed" : "unchanged", prn: row.prn, row, existing: current, changes });
+    });
+
+    existing.forEach((a) => {
+      if (!inFile.has(a.prn)) result.push({ kind: "missing", prn: a.prn, existing: a });
+    });
+
+    return result;
+  }
+
+  /**
+   * Render the diff preview
+   */
+  function render() {
+    const counts = { new: 0, changed: 0, unchanged: 0, missing: 0 };
+    diff.forEach((d) => counts[d.kind]++);
+
+    syncSummary.innerHTML = Object.keys(KIND_LABELS)
+      .map((kind) => `
+        <span class="sync-chip ${kind}">
+          <i class="fas ${KIND_LABELS[kind].icon}"></i> ${KIND_LABELS[kind].label}: <strong>${counts[kind]}</strong>
+        </span>`)
+      .join("");
+
+    syncBody.innerHTML = "";
+    const order = ["new", "changed", "missing", "unchanged"];
+    diff
+      .map((d, i) => ({ d, i }))
+      .sort((a, b) => order.indexOf(a.d.kind) - order.indexOf(b.d.kind))
+      .forEach(({ d, i }) => {
+        const record = d.row || d.existing;
+        const locked = d.kind === "unchanged" || (d.kind === "missing" && d.existing.checkedIn);
+        const checked = d.kind === "new" || d.kind === "changed";
+
+        let detail = "";
+        if (d.kind === "changed") {
+          detail = d.changes
+            .map((c) => `<div class="sync-change"><strong>${escapeHtml(c.field)}</strong>: <del>${escapeHtml(String(c.from)) || "(empty)"}</del> → <ins>${escapeHtml(String(c.to)) || "(empty)"}</ins></div>`)
+            .join("");
+        } else if (d.kind === "missing") {
+          detail = d.existing.checkedIn
+            ? '<span class="sync-note">Already checked in — kept</span>'
+            : '<span class="sync-note">Select to remove from the event</span>';
+        } else if (d.kind === "new") {
+          detail = `<span class="sync-note">${escapeHtml(record.email)} · ${escapeHtml(record.year)}</span>`;
+        }
+
+        const tr = document.createElement("tr");
+        tr.className = `sync-row ${d.kind}`;
+        tr.innerHTML = `
+          <td><input type="checkbox" class="sync-select" data-index="${i}" ${checked ? "checked" : ""} ${locked ? "disabled" : ""} /></td>
+          <td><span class="sync-chip ${d.kind}">${KIND_LABELS[d.kind].label}</span></td>
+          <td>${escapeHtml(record.name)}</td>
+          <td>${escapeHtml(d.prn)}</td>
+          <td>${detail}</td>
+        `;
+        syncBody.appendChild(tr);
+      });
+
+    syncSelectAll.checked = false;
+    applySyncBtn.disabled = counts.new + counts.changed + counts.missing === 0;
+    syncContainer.style.display = "block";
+    syncContainer.scrollIntoView({ behavior: "smooth", block: "start" });
+  }
+
+  /**
+   * Apply the selected diff entries
+   */
+  async function applySelected() {
+    const selected = [...syncBody.querySelectorAll(".sync-select:checked:not(:disabled)")]
+      .map((cb) => diff[Number(cb.dataset.index)]);
+
+    if (selected.length === 0) {
+      showToast("Select at least one change to apply", "warning");
+      return;
+    }
+
+    const removals = selected.filter((d) => d.kind === "missing");
+    if (removals.length > 0) {
+      const proceed = confirm(`Remove ${removals.length} attendee(s) who are no longer in the file?`);
+      if (!proceed) return;
+    }
+
+    // New attendees get the seats left once removals are applied, in file order
+    const remaining = diff.filter((d) => d.existing && !removals.includes(d)).map((d) => d.existing);
+    const nextSeat = CapacityModule.allocator(EventsModule.getSelectedEvent(), remaining);
+
+    // Build the write list — updates touch registration fields only
+    const writes = selected.map((d) => {
+      if (d.kind === "new") {
+        const doc = buildDoc(d.row, currentEventId, nextSeat());
+        return async (batch) => {
+          batch.set(attendeesRef.doc(attendeeDocId(currentEventId, d.prn)), doc);
+          await TicketsModule.write(batch, doc);
+        };
+      }
+      if (d.kind === "changed") {
+        const update = {};
+        d.changes.filter((c) => !c.custom).forEach((c) => { update[c.field] = c.to; });
+        if (d.changes.some((c) => c.custom)) {
+          update.custom = { ...(d.existing.custom || {}), ...d.row.custom };
+        }
+        return async (batch) => {
+          batch.update(d.existing.ref, update);
+          await TicketsModule.write(batch, { ...d.existing, ...update }, d.existing);
+        };
+      }
+      return async (batch) => {
+        batch.delete(d.existing.ref);
+        await TicketsModule.write(batch, null, d.existing);
+        AttendanceModule.log(batch, d.existing.ref.id, d.existing, { action: "delete", source: "sync", reason: "Not in the re-imported file" });
+      };
+    });
+
+    applySyncBtn.disabled = true;
+    let applied = 0;
+    try {
+      for (let start = 0; start < writes.length; start += BATCH_SIZE) {
+        const batch = db.batch();
+        for (const write of writes.slice(start, start + BATCH_SIZE)) await write(batch);
+        await batch.commit();
+        applied = Math.min(start + BATCH_SIZE, writes.length);
+      }
+      showToast(`Sync applied: ${applied} change(s)`, "success");
+    } catch (err) {
+      console.error("Sync apply error:", err);
+      showToast(`Sync stopped after ${applied} of ${writes.length} change(s). Compare again to retry.`, "error");
+    }
+
+    // Refresh the diff so it reflects what is now in Firestore
+    const rows = diff.filter((d) => d.row).map((d) => d.row);
+    await showDiff(rows, currentEventId, buildDoc, comparedFields);
+  }
+
+  /**
+   * Hide the diff panel
+   */
+  function hide() {
+    diff = [];
+    syncBody.innerHTML = "";
+    syncContainer.style.display = "none";
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   */
+  function escapeHtml(str) {
+    if (!str) return "";
+    const div = document.createElement("div");
+    div.textContent = str;
+    return div.innerHTML;
+  }
+
+  // Public API
+  return { init, showDiff, hide };
+})();
@@ -0,0 +1,193 @@
+/**
+ * ============================================
+ * Station & Operator Throughput Module
+ * ============================================
+ *
+ * Handles:
+ * - Dashboard panel of check-ins per station (e.g. "Gate A") or per operator
+ * - Totals, the last 15 minutes, the busiest interval and an activity strip
+ *   over the course of the event
+ *
+ * Built from the "check-in" entries of the checkinLog collection, which carry
+ * the operator (by) and station of every check-in — including offline ones,
+ * at their original scan time. Undone check-ins still count as throughput.
+ * The log is followed live: after the first load only new entries are read.
+ */
+
+const ThroughputModule = (() => {
+  // --- DOM Elements ---
+  const panel     = document.getElementById("throughputPanel");
+  const body      = document.getElementById("throughputBody");
+  const groupBtns = document.querySelectorAll(".filter-btn[data-group]");
+
+  const RECENT_WINDOW = 15 * 60 * 1000;                 // "Last 15 min" column
+  const BUCKET_SIZES = [5, 15, 30, 60, 120, 240, 720];   // Minutes, smallest that fits
+  const MAX_BUCKETS = 32;
+  const REFRESH = 15000;   // During a rush the panel re-renders at most this often (ms)
+
+  let byId = new Map();      // Log entry ID → entry
+  let entries = [];          // Entries with a time, oldest first
+  let unsubscribe = null;
+  let renderTimer = null;
+  let groupBy = "station";   // "station" | "by"
+
+  const GROUP_LABELS = {
+    station: { heading: "Station",  empty: "(no station set)" },
+    by:      { heading: "Operator", empty: "(unknown operator)" }
+  };
+
+  /**
+   * Initialize event listeners
+   */
+  function init() {
+    groupBtns.forEach((btn) => {
+      btn.addEventListener("click", () => {
+        groupBtns.forEach((b) => b.classList.remove("active"));
+        btn.classList.add("active");
+        groupBy = btn.dataset.group;
+        render();
+      });
+    });
+  }
+
+  /**
+   * Follow the event's check-ins and render the panel as they arrive
+   * @param {string|null} eventId
+   */
+  function watch(eventId) {
+    stop();
+    render();
+    if (!eventId) return;
+
+    let first = true;
+    unsubscribe = AttendanceModule.watchCheckIns(
+      eventId,
+      (changes) => {
+        changes.forEach(({ id, entry, removed }) => (removed ? byId.delete(id) : byId.set(id, entry)));
+        entries = [...byId.values()]
+          .filter((entry) => entry.at)
+          .sort((a, b) => a.at.toMillis() - b.at.toMillis());
+        if (first) {
+          first = false;
+          render();
+        } else {
+          scheduleRender();
+        }
+      },
+      (err) => {
+        // Keep showing what was loaded; Refresh on the dashboard reconnects
+        console.error("Station stats live update error:", err);
+        unsubscribe = null;
+      }
+    );
+  }
+
+  /**
+   * Stop following the log (leaving the dashboard or switching events)
+   */
+  function stop() {
+    if (unsubscribe) unsubscribe();
+    unsubscribe = null;
+    clearTimeout(renderTimer);
+    renderTimer = null;
+    byId = new Map();
+    entries = [];
+  }
+
+  function scheduleRender() {
+    if (renderTimer) return;
+    renderTimer = setTimeout(() => {
+      renderTimer = null;
+      render();
+    }, REFRESH);
+  }
+
+  /**
+   * Render one row per station / operator
+   */
+  function render() {
+    panel.style.display = entries.length > 0 ? "" : "none";
+    if (entries.length === 0) return;
+
+    const first = entries[0].at.toMillis();
+    const last = entries[entries.length - 1].at.toMillis();
+    const bucketMs = pickBucketSize(last - first);
+    const bucketCount = Math.floor((last - first) / bucketMs) + 1;
+    const now = Date.now();
+
+    // Group → per-bucket counts
+    const groups = new Map();
+    entries.forEach((entry) => {
+      const key = entry[groupBy] || "";
+      if (!groups.has(key)) groups.set(key, { total: 0, recent: 0, buckets: new Array(bucketCount).fill(0) });
+      const group = groups.get(key);
+      const at = entry.at.toMillis();
+      group.total++;
+      if (now - at <= RECENT_WINDOW) group.recent++;
+      group.buckets[Math.floor((at - first) / bucketMs)]++;
+    });
+
+    const rows = [...groups.entries()].sort((a, b) => b[1].total - a[1].total);
+    const maxBucket = Math.max(...rows.map(([, g]) => Math.max(...g.buckets)));
+    const minutes = bucketMs / 60000;
+    const labels = GROUP_LABELS[groupBy];
+
+    body.innerHTML = `
+      <table class="throughput-table">
+        <thead>
+          <tr>
+            <th>${labels.heading}</th>
+            <th>Total</th>
+            <th>Last 15 min</th>
+            <th>Peak / ${formatMinutes(minutes)}</th>
+            <th>Activity <span class="throughput-range">${formatTime(first)} – ${formatTime(last)}</span></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(([key, g]) => `
+          <tr>
+            <td>${key ? escapeHtml(key) : `<span class="throughput-none">${labels.empty}</span>`}</td>
+            <td><strong>${g.total}</strong></td>
+            <td>${g.recent}</td>
+            <td>${Math.max(...g.buckets)}</td>
+            <td>
+              <div class="spark">
+                ${g.buckets.map((count, i) => `<span style="height:${Math.round((count / maxBucket) * 100)}%"
+                  title="${formatTime(first + i * bucketMs)}: ${count} check-in(s)"></span>`).join("")}
+              </div>
+            </td>
+          </tr>`).join("")}
+        </tbody>
+      </table>`;
+  }
+
+  /**
+   * Smallest bucket size that fits the span into MAX_BUCKETS
+   * @returns {number} Milliseconds
+   */
+  function pickBucketSize(spanMs) {
+    const minutes = BUCKET_SIZES.find((m) => spanMs / (m * 60000) < MAX_BUCKETS) || BUCKET_SIZES[BUCKET_SIZES.length - 1];
+    return minutes * 60000;
+  }
+
+  function formatMinutes(minutes) {
+    return minutes < 60 ? `${minutes} min` : `${minutes / 60} h`;
+  }
+
+  function formatTime(ms) {
+    return new Date(ms).toLocaleString([], { weekday: "short", hour: "2-digit", minute: "2-digit" });
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   */
+  function escapeHtml(str) {
+    if (!str) return "";
+    const div = document.createElement("div");
+    div.textContent = str;
+    return div.innerHTML;
+  }
+
+  // Public API
+  return { init, watch, stop };
+})();
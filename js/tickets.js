@@ -0,0 +1,97 @@
+/**
+ * ============================================
+ * Participant Tickets Module
+ * ============================================
+ *
+ * Handles:
+ * - Publishing the public copy of an attendee that the participant portal reads
+ * - Moving / removing those copies when the attendee changes or is deleted
+ *
+ * Security rules keep "attendees" (contact details, check-in state) readable by
+ * signed-in admins only. The portal instead fetches one "tickets" document by
+ * ID, and the ID is a hash of the event, PRN and registered email or mobile —
+ * so only someone who knows both can fetch the QR payload. Rules allow "get"
+ * but not "list" on tickets, so they can't be enumerated either.
+ *
+ * Each attendee has up to two tickets (one for the email, one for the mobile).
+ * Ticket fields: eventId, prn, name, year, qrPayload.
+ *
+ * participant.html computes the same ID — keep ticketId() in step with it.
+ */
+
+const TicketsModule = (() => {
+  const ticketsRef = db.collection("tickets");
+
+  // Writes per attendee at most: deleting two old tickets and setting two new ones
+  const WRITES_PER_ATTENDEE = 4;
+
+  /**
+   * Contact values an attendee can look their ticket up with
+   * Emails are compared case-insensitively, mobiles by their last 10 digits
+   * (so "+91 98765 43210" matches "9876543210").
+   * @param {Object} data - Attendee record
+   * @returns {string[]}
+   */
+  function contactKeys(data) {
+    const keys = [];
+    const email = String(data.email || "").trim().toLowerCase();
+    if (email.includes("@")) keys.push(email);
+    const mobile = String(data.mobile || "").replace(/\D/g, "").slice(-10);
+    if (mobile.length === 10) keys.push(mobile);
+    return keys;
+  }
+
+  /**
+   * Ticket document ID: hex SHA-256 of "<eventId>\n<PRN>\n<contact>"
+   */
+  async function ticketId(eventId, prn, contact) {
+    const bytes = new TextEncoder().encode(`${eventId}\n${prn}\n${contact}`);
+    const hash = new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+    return [...hash].map((b) => b.toString(16).padStart(2, "0")).join("");
+  }
+
+  async function idsOf(data) {
+    if (!data || !data.eventId || !data.prn) return [];
+    return Promise.all(contactKeys(data).map((contact) => ticketId(data.eventId, data.prn, contact)));
+  }
+
+  /**
+   * Write an attendee's tickets into a batch or transaction
+   * Tickets of the previous version that no longer apply (changed PRN, email
+   * or mobile) are deleted; pass data = null to remove them all.
+   * @param {firebase.firestore.WriteBatch|firebase.firestore.Transaction} writer
+   * @param {Object|null} data - Attendee fields after the write
+   * @param {Object|null} previous - Attendee fields before the write
+   */
+  async function write(writer, data, previous = null) {
+    const [nextIds, previousIds] = await Promise.all([idsOf(data), idsOf(previous)]);
+
+    previousIds
+      .filter((id) => !nextIds.includes(id))
+      .forEach((id) => writer.delete(ticketsRef.doc(id)));
+
+    nextIds.forEach((id) => {
+      writer.set(ticketsRef.doc(id), {
+        eventId:   data.eventId,
+        prn:       data.prn,
+        name:      data.name || "",
+        year:      data.year || "",
+        qrPayload: data.qrPayload || ""
+      });
+    });
+  }
+
+  /**
+   * Delete every ticket of an event (when the event itself is deleted)
+   * @param {string} eventId
+   */
+  async function deleteEvent(eventId) {
+    const snapshot = await ticketsRef.where("eventId", "==", eventId).get();
+    const batch = db.batch();
+    snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+  }
+
+  // Public API
+  return { WRITES_PER_ATTENDEE, write, deleteEvent };
+})();
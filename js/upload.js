@@ -4,12 +4,15 @@
  * ============================================
  *
  * Handles:
- * - CSV file selection (drag & drop + click)
- * - CSV parsing with PapaParse
- * - Data validation
- * - QR code generation for each attendee
- * - Batch upload to Firebase Firestore
- * - Duplicate detection (by PRN)
+ * - File selection (drag & drop + click): CSV, TSV, XLSX and JSON
+ * - CSV/TSV parsing with PapaParse, XLSX with SheetJS (sheet picker)
+ * - Column mapping (auto-guess + saved presets per event)
+ * - Extra columns carried as per-attendee custom fields
+ * - Row validation report (inline fixes, exclusions, error CSV)
+ * - Signed QR code generation for each attendee (see qr.js)
+ * - Chunked WriteBatch upload keyed on deterministic IDs (event + PRN)
+ * - Duplicate detection (by PRN) and resume after a failed upload
+ * - Sync mode: diff a re-exported file against the event (see sync.js)
  */
 
 const UploadModule = (() => {
@@ -18,6 +21,7 @@ const UploadModule = (() => {
   const fileInput     = document.getElementById("csvFileInput");
   const fileInfo      = document.getElementById("fileInfo");
   const fileName      = document.getElementById("fileName");
+  const sheetSelect   = document.getElementById("sheetSelect");
   const removeFileBtn = document.getElementById("removeFile");
   const processBtn    = document.getElementById("processBtn");
   const progressContainer = document.getElementById("progressContainer");
@@ -28,15 +32,65 @@ const UploadModule = (() => {
   const totalUploaded = document.getElementById("totalUploaded");
   const totalSkipped  = document.getElementById("totalSkipped");
   const totalFailed   = document.getElementById("totalFailed");
+  const resultsTitle  = document.getElementById("resultsTitle");
+  const resumeUploadBtn = document.getElementById("resumeUploadBtn");
+  const modeBtns      = document.querySelectorAll(".upload-mode-btn");
+  const processBtnLabel = document.getElementById("processBtnLabel");
   const previewContainer = document.getElementById("previewContainer");
   const previewBody   = document.getElementById("previewBody");
+  const mappingContainer = document.getElementById("mappingContainer");
+  const mappingGrid   = document.getElementById("mappingGrid");
+  const presetSelect  = document.getElementById("mappingPresetSelect");
+  const presetNameInput = document.getElementById("mappingPresetName");
+  const savePresetBtn = document.getElementById("savePresetBtn");
+  const applyMappingBtn = document.getElementById("applyMappingBtn");
+  const validationSummary = document.getElementById("validationSummary");
+  const excludeInvalidBtn = document.getElementById("excludeInvalidBtn");
+  const downloadErrorsBtn = document.getElementById("downloadErrorsBtn");
 
   let parsedData = [];       // Holds parsed CSV rows
-  let qrDataMap = {};        // PRN → base64 QR data URL
+  let qrPayloadMap = {};     // PRN → signed QR payload
+  let qrEventId = null;      // Event the current QR codes were signed for
   let selectedFile = null;
+  let workbook = null;       // SheetJS workbook when an .xlsx file is loaded
+  let rawRows = [];          // Rows as parsed, keyed by the file's own headers
+  let fileHeaders = [];      // Header names exactly as they appear in the file
+  let columnMapping = {};    // Attendee field → file header
+  let ignoredColumns = new Set(); // Extra headers the user chose not to keep
+  let rowIssues = [];        // Per row: field → problem description
+  let excludedRows = new Set(); // Row indexes left out of the upload
+  let uploadMode = "add";    // "add" (new PRNs only) or "sync" (diff + apply)
 
-  // --- Required CSV columns ---
-  const REQUIRED_COLUMNS = ["name", "prn", "email", "mobile", "year"];
+  // --- Batched upload settings ---
+  // Firestore allows 500 writes per batch; each row also writes its tickets
+  const BATCH_SIZE = Math.floor(400 / (1 + TicketsModule.WRITES_PER_ATTENDEE));
+  const CHECKPOINT_KEY = "tfn-upload-checkpoint";
+
+  // --- Accepted file types ---
+  const ACCEPTED_EXTENSIONS = [".csv", ".tsv", ".xlsx", ".json"];
+
+  // --- Attendee fields a file column can be mapped to ---
+  const FIELDS = [
+    { key: "name",   label: "Name",   required: true },
+    { key: "prn",    label: "PRN",    required: true },
+    { key: "email",  label: "Email",  required: false },
+    { key: "mobile", label: "Mobile", required: false },
+    { key: "year",   label: "Year",   required: false },
+    { key: "guests", label: "Guests allowed", required: false }
+  ];
+
+  // --- Header names (normalized) that usually feed each field ---
+  const FIELD_SYNONYMS = {
+    name:   ["name", "fullname", "studentname", "participantname", "yourname", "candidatename", "nameofstudent"],
+    prn:    ["prn", "prnnumber", "prnno", "registrationnumber", "registrationno", "rollno", "rollnumber", "enrollmentnumber", "enrollmentno", "studentid"],
+    email:  ["email", "emailaddress", "emailid", "mail", "mailid", "collegeemail"],
+    mobile: ["mobile", "mobilenumber", "mobileno", "phone", "phonenumber", "phoneno", "contact", "contactnumber", "contactno", "whatsappnumber"],
+    year:   ["year", "academicyear", "yearofstudy", "currentyear", "studyyear", "class"],
+    guests: ["guests", "guestsallowed", "noofguests", "numberofguests", "guestcount", "plusone", "plusones", "companions", "accompanying"]
+  };
+
+  // --- Extra columns dropped by default (form metadata, not attendee data) ---
+  const DEFAULT_IGNORED = ["timestamp"];
 
   /**
    * Initialize event listeners
@@ -60,19 +114,65 @@ const UploadModule = (() => {
       e.preventDefault();
       uploadArea.classList.remove("dragover");
       const files = e.dataTransfer.files;
-      if (files.length > 0 && files[0].name.endsWith(".csv")) {
+      if (files.length > 0 && isSupportedFile(files[0])) {
         selectedFile = files[0];
         onFileReady();
       } else {
-        showToast("Please drop a valid .csv file", "error");
+        showToast("Please drop a .csv, .tsv, .xlsx or .json file", "error");
       }
     });
 
+    // Sheet picker (XLSX)
+    sheetSelect.addEventListener("change", () => loadSheet(sheetSelect.value));
+
     // Remove file
     removeFileBtn.addEventListener("click", resetUpload);
 
     // Process button
     processBtn.addEventListener("click", processAndUpload);
+    resumeUploadBtn.addEventListener("click", processAndUpload);
+
+    // Upload mode toggle
+    modeBtns.forEach((btn) => {
+      btn.addEventListener("click", () => {
+        modeBtns.forEach((b) => b.classList.remove("active"));
+        btn.classList.add("active");
+        uploadMode = btn.dataset.mode;
+        processBtnLabel.textContent = uploadMode === "sync"
+          ? "Compare with Event & Preview Changes"
+          : "Process & Upload to Firebase";
+        SyncModule.hide();
+      });
+    });
+
+    // Column mapping
+    applyMappingBtn.addEventListener("click", applyMapping);
+    savePresetBtn.addEventListener("click", savePreset);
+    presetSelect.addEventListener("change", () => {
+      const presets = getEventPresets();
+      const mapping = presets[presetSelect.value];
+      if (!mapping) return;
+      columnMapping = pickKnownHeaders(mapping);
+      ignoredColumns = new Set(mapping._ignored || []);
+      presetNameInput.value = presetSelect.value;
+      renderMappingFields();
+    });
+
+    // Validation report
+    excludeInvalidBtn.addEventListener("click", excludeInvalidRows);
+    downloadErrorsBtn.addEventListener("click", downloadErrorCSV);
+    previewBody.addEventListener("change", onPreviewToggle);
+    previewBody.addEventListener("focusout", onPreviewEdit);
+    previewBody.addEventListener("click", (e) => {
+      const btn = e.target.closest(".qr-view-btn");
+      if (btn) showPreviewQR(parsedData[Number(btn.dataset.row)]);
+    });
+    previewBody.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && e.target.isContentEditable) {
+        e.preventDefault();
+        e.target.blur();
+      }
+    });
   }
 
   /**
@@ -81,14 +181,29 @@ const UploadModule = (() => {
   function handleFileSelect(e) {
     const file = e.target.files[0];
     if (!file) return;
-    if (!file.name.endsWith(".csv")) {
-      showToast("Please select a valid .csv file", "error");
+    if (!isSupportedFile(file)) {
+      showToast("Please select a .csv, .tsv, .xlsx or .json file", "error");
       return;
     }
     selectedFile = file;
     onFileReady();
   }
 
+  /**
+   * Lowercase extension of a file name (".csv", ".xlsx", ...)
+   */
+  function getExtension(name) {
+    const dot = name.lastIndexOf(".");
+    return dot >= 0 ? name.slice(dot).toLowerCase() : "";
+  }
+
+  /**
+   * Whether a file has one of the accepted extensions
+   */
+  function isSupportedFile(file) {
+    return ACCEPTED_EXTENSIONS.includes(getExtension(file.name));
+  }
+
   /**
    * Called when a file is ready — parse and show preview
    */
@@ -98,89 +213,662 @@ const UploadModule = (() => {
     fileInfo.style.display = "flex";
     fileName.textContent = selectedFile.name;
 
-    // Parse the CSV
+    const ext = getExtension(selectedFile.name);
+    if (ext === ".xlsx") {
+      parseWorkbook();
+    } else if (ext === ".json") {
+      parseJSON();
+    } else {
+      parseDelimited(ext === ".tsv" ? "\t" : "");
+    }
+  }
+
+  /**
+   * Parse a CSV / TSV file — headers keep their original text for mapping
+   * @param {string} delimiter - "" lets PapaParse auto-detect
+   */
+  function parseDelimited(delimiter) {
     Papa.parse(selectedFile, {
       header: true,
+      delimiter,
       skipEmptyLines: true,
-      transformHeader: (h) => h.trim().toLowerCase(),
-      complete: async (results) => {
-        // Validate columns
-        const headers = results.meta.fields.map((f) => f.toLowerCase());
-        const missing = REQUIRED_COLUMNS.filter((col) => !headers.includes(col));
-
-        if (missing.length > 0) {
-          showToast(`Missing columns: ${missing.join(", ")}`, "error");
-          resetUpload();
-          return;
-        }
+      transformHeader: (h) => h.trim(),
+      complete: (results) => onFileParsed(results.meta.fields || [], results.data),
+      error: (err) => {
+        showToast("Error parsing file: " + err.message, "error");
+        resetUpload();
+      }
+    });
+  }
 
-        // Clean & store data
-        parsedData = results.data
-          .filter((row) => row.name && row.prn)  // Skip rows with no name/prn
-          .map((row) => ({
-            name:   (row.name   || "").trim(),
-            prn:    (row.prn    || "").toString().trim(),
-            email:  (row.email  || "").trim(),
-            mobile: (row.mobile || "").toString().trim(),
-            year:   (row.year   || "").toString().trim()
-          }));
-
-        if (parsedData.length === 0) {
-          showToast("CSV has no valid rows", "error");
-          resetUpload();
-          return;
-        }
+  /**
+   * Parse a JSON file containing an array of attendee objects
+   */
+  async function parseJSON() {
+    try {
+      const data = JSON.parse(await selectedFile.text());
+      if (!Array.isArray(data) || !data.every((item) => item && typeof item === "object" && !Array.isArray(item))) {
+        throw new Error("expected an array of objects");
+      }
 
-        showToast(`Parsed ${parsedData.length} records — generating QR codes...`, "success");
+      // Headers are the union of keys, in first-seen order
+      const headers = [];
+      data.forEach((item) => {
+        Object.keys(item).forEach((key) => {
+          if (!headers.includes(key)) headers.push(key);
+        });
+      });
+
+      const rows = data.map((item) => {
+        const row = {};
+        headers.forEach((h) => {
+          const value = item[h];
+          row[h] = value === null || value === undefined
+            ? ""
+            : typeof value === "object" ? JSON.stringify(value) : String(value);
+        });
+        return row;
+      });
 
-        // Pre-generate all QR codes so they appear in the preview
-        qrDataMap = {};
-        for (const row of parsedData) {
-          qrDataMap[row.prn] = await generateQRCode(row.prn);
+      onFileParsed(headers, rows);
+    } catch (err) {
+      showToast("Error parsing JSON: " + err.message, "error");
+      resetUpload();
+    }
+  }
+
+  /**
+   * Read an .xlsx workbook and load its first non-empty sheet
+   */
+  async function parseWorkbook() {
+    try {
+      workbook = XLSX.read(await selectedFile.arrayBuffer(), { type: "array" });
+    } catch (err) {
+      showToast("Error reading Excel file: " + err.message, "error");
+      resetUpload();
+      return;
+    }
+
+    const names = workbook.SheetNames;
+    sheetSelect.innerHTML = names
+      .map((name) => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`)
+      .join("");
+    sheetSelect.style.display = names.length > 1 ? "" : "none";
+
+    const firstWithData = names.find((name) => sheetToArrays(name).length > 1) || names[0];
+    sheetSelect.value = firstWithData;
+    loadSheet(firstWithData);
+  }
+
+  /**
+   * Sheet contents as arrays of formatted cell text
+   */
+  function sheetToArrays(sheetName) {
+    const sheet = workbook && workbook.Sheets[sheetName];
+    if (!sheet) return [];
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: "", blankrows: false });
+  }
+
+  /**
+   * Load one sheet of the workbook into the mapping step
+   */
+  function loadSheet(sheetName) {
+    const [headerRow = [], ...dataRows] = sheetToArrays(sheetName);
+    const headers = headerRow.map((h) => String(h).trim());
+
+    const rows = dataRows.map((cells) => {
+      const row = {};
+      headers.forEach((h, i) => {
+        if (h) row[h] = cells[i] === undefined ? "" : String(cells[i]);
+      });
+      return row;
+    });
+
+    onFileParsed(headers, rows);
+  }
+
+  /**
+   * Called once the file is parsed — guess or restore a column mapping
+   * @param {string[]} headers - Header names as they appear in the file
+   * @param {Object[]} rows - Parsed rows keyed by header
+   */
+  function onFileParsed(headers, rows) {
+    clearPreview();   // A new sheet must be mapped and validated before upload
+    fileHeaders = headers.filter((h) => h);
+    rawRows = rows;
+
+    if (fileHeaders.length === 0 || rawRows.length === 0) {
+      showToast("File has no data rows", "error");
+      resetUpload();
+      return;
+    }
+
+    const preset = findMatchingPreset();
+    columnMapping = preset ? pickKnownHeaders(preset.mapping) : guessMapping(fileHeaders);
+    ignoredColumns = preset
+      ? new Set(preset.mapping._ignored || [])
+      : new Set(fileHeaders.filter((h) => DEFAULT_IGNORED.includes(normalizeHeader(h))));
+    renderMapping(preset ? preset.name : "");
+
+    // A saved preset for this form means no manual work — apply right away
+    if (preset) {
+      showToast(`Applied saved mapping "${preset.name}"`, "info");
+      applyMapping();
+    }
+  }
+
+  /**
+   * Guess which header feeds each field
+   * Exact synonym matches win over headers that merely contain a synonym.
+   * @param {string[]} headers
+   * @returns {Object} field → header
+   */
+  function guessMapping(headers) {
+    const mapping = {};
+    const used = new Set();
+
+    [3, 2].forEach((pass) => {
+      FIELDS.forEach(({ key }) => {
+        if (mapping[key]) return;
+        const match = headers.find((h) => {
+          if (used.has(h)) return false;
+          const norm = normalizeHeader(h);
+          return pass === 3
+            ? FIELD_SYNONYMS[key].includes(norm)
+            : FIELD_SYNONYMS[key].some((syn) => syn.length > 3 && norm.includes(syn)) || norm.includes(key);
+        });
+        if (match) {
+          mapping[key] = match;
+          used.add(match);
         }
+      });
+    });
 
-        showPreview();
-        processBtn.disabled = false;
-      },
-      error: (err) => {
-        showToast("Error parsing CSV: " + err.message, "error");
-        resetUpload();
+    return mapping;
+  }
+
+  /**
+   * Lowercase a header and drop everything except letters and digits
+   */
+  function normalizeHeader(h) {
+    return h.toLowerCase().replace(/[^a-z0-9]/g, "");
+  }
+
+  /**
+   * Keep only mapping entries whose header exists in the current file
+   */
+  function pickKnownHeaders(mapping) {
+    const result = {};
+    FIELDS.forEach(({ key }) => {
+      if (fileHeaders.includes(mapping[key])) result[key] = mapping[key];
+    });
+    return result;
+  }
+
+  /**
+   * Headers not mapped to a core field and not ignored — kept as custom fields
+   */
+  function getCustomColumns() {
+    const mapped = Object.values(columnMapping);
+    return fileHeaders.filter((h) => !mapped.includes(h) && !ignoredColumns.has(h));
+  }
+
+  /**
+   * Get the saved column presets of the selected event
+   * @returns {Object} preset name → mapping
+   */
+  function getEventPresets() {
+    const evt = EventsModule.getSelectedEvent();
+    return (evt && evt.columnPresets) || {};
+  }
+
+  /**
+   * Find a saved preset whose columns all exist in the current file
+   * @returns {{name: string, mapping: Object}|null}
+   */
+  function findMatchingPreset() {
+    const presets = getEventPresets();
+    let best = null;
+
+    Object.keys(presets).forEach((name) => {
+      const mapping = presets[name];
+      const headers = FIELDS.map((f) => mapping[f.key]).filter((h) => h);
+      const required = FIELDS.filter((f) => f.required).every((f) => mapping[f.key]);
+      if (!required || !headers.every((h) => fileHeaders.includes(h))) return;
+      if (!best || headers.length > best.size) {
+        best = { name, mapping, size: headers.length };
       }
     });
+
+    return best;
+  }
+
+  /**
+   * Show the mapping card with presets and one select per field
+   * @param {string} activePreset - Name of the preset in use (if any)
+   */
+  function renderMapping(activePreset) {
+    const presets = getEventPresets();
+    const names = Object.keys(presets).sort();
+
+    presetSelect.innerHTML = `<option value="">${names.length ? "— Saved presets —" : "No saved presets"}</option>`;
+    names.forEach((name) => {
+      const opt = document.createElement("option");
+      opt.value = name;
+      opt.textContent = name;
+      presetSelect.appendChild(opt);
+    });
+    presetSelect.value = activePreset;
+    presetSelect.disabled = names.length === 0;
+    presetNameInput.value = activePreset;
+
+    renderMappingFields();
+    mappingContainer.style.display = "block";
+  }
+
+  /**
+   * Render one select per field, pre-filled from the current mapping
+   */
+  function renderMappingFields() {
+    mappingGrid.innerHTML = "";
+    const sample = rawRows[0] || {};
+
+    FIELDS.forEach(({ key, label, required }) => {
+      const field = document.createElement("div");
+      field.className = "mapping-field";
+      const options = fileHeaders
+        .map((h) => `<option value="${escapeHtml(h)}"${columnMapping[key] === h ? " selected" : ""}>${escapeHtml(h)}</option>`)
+        .join("");
+      field.innerHTML = `
+        <label>${label}${required ? ' <span class="required">*</span>' : ""}</label>
+        <select data-field="${key}">
+          <option value="">— Not in file —</option>
+          ${options}
+        </select>
+        <span class="mapping-sample"></span>
+      `;
+      const select = field.querySelector("select");
+      const sampleEl = field.querySelector(".mapping-sample");
+      const updateSample = () => {
+        sampleEl.textContent = select.value ? `e.g. ${sample[select.value] || "(empty)"}` : "";
+      };
+      select.addEventListener("change", () => {
+        updateSample();
+        readMappingFromUI();
+        renderExtraColumns();
+      });
+      updateSample();
+      mappingGrid.appendChild(field);
+    });
+
+    renderExtraColumns();
+  }
+
+  /**
+   * List the unmapped columns with a "keep" checkbox each
+   */
+  function renderExtraColumns() {
+    let extras = mappingGrid.querySelector(".mapping-extras");
+    if (!extras) {
+      extras = document.createElement("div");
+      extras.className = "mapping-extras";
+      mappingGrid.appendChild(extras);
+    }
+
+    const mapped = Object.values(columnMapping);
+    const unmapped = fileHeaders.filter((h) => !mapped.includes(h));
+    if (unmapped.length === 0) {
+      extras.innerHTML = "";
+      return;
+    }
+
+    extras.innerHTML = `
+      <label>Extra columns <span class="mapping-extras-hint">— ticked columns are kept as custom fields</span></label>
+      <div class="mapping-extras-list">
+        ${unmapped.map((h) => `
+          <label class="mapping-extra">
+            <input type="checkbox" data-extra="${escapeHtml(h)}" ${ignoredColumns.has(h) ? "" : "checked"} />
+            ${escapeHtml(h)}
+          </label>`).join("")}
+      </div>
+    `;
+    extras.querySelectorAll("input[data-extra]").forEach((cb) => {
+      cb.addEventListener("change", () => {
+        cb.checked ? ignoredColumns.delete(cb.dataset.extra) : ignoredColumns.add(cb.dataset.extra);
+      });
+    });
+  }
+
+  /**
+   * Read the current select values back into columnMapping
+   */
+  function readMappingFromUI() {
+    columnMapping = {};
+    mappingGrid.querySelectorAll("select[data-field]").forEach((select) => {
+      if (select.value) columnMapping[select.dataset.field] = select.value;
+    });
+  }
+
+  /**
+   * Apply the mapping: build clean rows, generate QR codes, show preview
+   */
+  async function applyMapping() {
+    readMappingFromUI();
+
+    const missing = FIELDS.filter((f) => f.required && !columnMapping[f.key]);
+    if (missing.length > 0) {
+      showToast(`Choose a column for: ${missing.map((f) => f.label).join(", ")}`, "error");
+      return;
+    }
+
+    const cell = (row, key) =>
+      columnMapping[key] ? (row[columnMapping[key]] || "").toString().trim() : "";
+
+    const customColumns = getCustomColumns();
+
+    // Clean & store data — every row is kept so problems can be reported
+    parsedData = rawRows.map((row) => {
+      const custom = {};
+      customColumns.forEach((h) => {
+        custom[h] = (row[h] || "").toString().trim();
+      });
+      return {
+        name:   cell(row, "name"),
+        prn:    cell(row, "prn"),
+        email:  cell(row, "email"),
+        mobile: cell(row, "mobile"),
+        year:   ValidationModule.normalizeYear(cell(row, "year")),
+        guests: cell(row, "guests"),
+        custom
+      };
+    });
+    excludedRows = new Set();
+    runValidation();
+
+    // QR payloads are signed per event, so an event must be selected
+    const eventId = EventsModule.getSelectedEventId();
+    if (!eventId) {
+      showToast("Please select an event first from the Events page!", "warning");
+      return;
+    }
+
+    applyMappingBtn.disabled = true;
+    processBtn.disabled = true;
+    showToast(`Parsed ${parsedData.length} records — generating QR codes...`, "success");
+
+    // Pre-generate all QR codes so they appear in the preview
+    try {
+      await ensureQRCodes(eventId);
+    } catch (err) {
+      console.error("QR generation failed:", err);
+      showToast("Could not sign QR codes — check your connection", "error");
+      applyMappingBtn.disabled = false;
+      return;
+    }
+
+    showPreview();
+    applyMappingBtn.disabled = false;
   }
 
   /**
-   * Show a preview of parsed CSV data with QR codes
+   * Make sure every row has a QR signed for the given event
+   * Codes signed for a different event are regenerated.
+   */
+  async function ensureQRCodes(eventId) {
+    if (qrEventId !== eventId) {
+      qrPayloadMap = {};
+      qrEventId = eventId;
+    }
+    for (const row of parsedData) {
+      if (row.prn && !qrPayloadMap[row.prn]) await generateQRCode(row.prn, eventId);
+    }
+  }
+
+  /**
+   * Sign the QR payload for one PRN (images are rendered on demand)
+   */
+  async function generateQRCode(prn, eventId) {
+    qrPayloadMap[prn] = await QRModule.buildPayload(eventId, prn);
+  }
+
+  /**
+   * Save the current mapping as a named preset on the selected event
+   */
+  async function savePreset() {
+    const eventId = EventsModule.getSelectedEventId();
+    if (!eventId) {
+      showToast("Please select an event first from the Events page!", "warning");
+      return;
+    }
+
+    const name = presetNameInput.value.trim();
+    if (!name) {
+      showToast("Please enter a preset name", "warning");
+      return;
+    }
+
+    readMappingFromUI();
+
+    try {
+      savePresetBtn.disabled = true;
+      // update() replaces the preset as a whole — a merge would keep fields
+      // unmapped since it was last saved. FieldPath allows dots in the name.
+      await eventsRef.doc(eventId).update(
+        new firebase.firestore.FieldPath("columnPresets", name),
+        { ...columnMapping, _ignored: [...ignoredColumns] }
+      );
+      await EventsModule.loadEvents();
+      renderMapping(name);
+      showToast(`Mapping preset "${name}" saved`, "success");
+    } catch (err) {
+      console.error("Failed to save mapping preset:", err);
+      showToast("Failed to save mapping preset", "error");
+    } finally {
+      savePresetBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Re-run validation over parsedData for the mapped fields
+   */
+  function runValidation() {
+    const fields = FIELDS.map((f) => f.key).filter((key) => columnMapping[key]);
+    rowIssues = ValidationModule.validateRows(parsedData, fields);
+  }
+
+  /**
+   * Indexes of rows that have at least one problem
+   */
+  function getInvalidRows() {
+    return rowIssues
+      .map((issues, i) => (Object.keys(issues).length > 0 ? i : -1))
+      .filter((i) => i >= 0);
+  }
+
+  /**
+   * Show a preview of parsed CSV data with QR codes and validation problems
    */
   function showPreview() {
     previewBody.innerHTML = "";
     parsedData.forEach((row, i) => {
-      const qrSrc = qrDataMap[row.prn] || "";
+      const issues = rowIssues[i] || {};
+      const excluded = excludedRows.has(i);
+      const editable = (field) => {
+        const problem = issues[field];
+        return `<td contenteditable="true" data-row="${i}" data-field="${field}"${
+          problem ? ` class="cell-invalid" title="${escapeHtml(problem)}"` : ""
+        }>${escapeHtml(row[field])}</td>`;
+      };
+      const problems = Object.values(issues);
+
       const tr = document.createElement("tr");
+      tr.className = [problems.length ? "row-invalid" : "", excluded ? "row-excluded" : ""].join(" ").trim();
       tr.innerHTML = `
+        <td><input type="checkbox" class="row-include" data-row="${i}" ${excluded ? "" : "checked"} title="Include in upload" /></td>
         <td>${i + 1}</td>
-        <td>${escapeHtml(row.name)}</td>
-        <td>${escapeHtml(row.prn)}</td>
-        <td>${escapeHtml(row.email)}</td>
-        <td>${escapeHtml(row.mobile)}</td>
-        <td>${escapeHtml(row.year)}</td>
-        <td>${qrSrc ? `<img src="${qrSrc}" alt="QR" class="qr-thumb" style="width:48px;height:48px;" />` : "—"}</td>
+        ${editable("name")}
+        ${editable("prn")}
+        ${editable("email")}
+        ${editable("mobile")}
+        ${editable("year")}
+        ${editable("guests")}
+        <td class="row-issues">${issueTags(problems)}</td>
+        <td class="row-qr">${qrCell(row, i)}</td>
       `;
       previewBody.appendChild(tr);
     });
     previewContainer.style.display = "block";
+    updateValidationSummary();
+  }
 
-    // Click QR thumbnail in preview to show large modal
-    previewContainer.querySelectorAll(".qr-thumb").forEach((img, idx) => {
-      img.addEventListener("click", () => {
-        const row = parsedData[idx];
-        const qrSrc = qrDataMap[row.prn];
-        document.getElementById("qrModalTitle").textContent = `QR Code — ${row.prn}`;
-        document.getElementById("qrModalPRN").textContent = `${row.name} (${row.prn})`;
-        document.getElementById("qrModalCode").innerHTML = `<img src="${qrSrc}" alt="QR" style="width:256px;height:256px;" />`;
-        document.getElementById("qrModal").style.display = "flex";
-      });
+  function issueTags(problems) {
+    return problems.length
+      ? problems.map((p) => `<span class="issue-tag"><i class="fas fa-exclamation-circle"></i> ${escapeHtml(p)}</span>`).join("")
+      : '<span class="issue-ok"><i class="fas fa-check"></i> OK</span>';
+  }
+
+  function qrCell(row, i) {
+    return qrPayloadMap[row.prn]
+      ? `<button class="qr-view-btn" data-row="${i}" title="View QR code"><i class="fas fa-qrcode"></i></button>`
+      : "—";
+  }
+
+  /**
+   * Refresh one preview row's problem markers, issue tags and QR button in place
+   * (the row's cells stay, so focus and caret in the next cell survive an edit)
+   */
+  function patchPreviewRow(i) {
+    const tr = previewBody.children[i];
+    if (!tr) return;
+    const issues = rowIssues[i] || {};
+    const problems = Object.values(issues);
+
+    tr.querySelectorAll("td[data-field]").forEach((td) => {
+      const problem = issues[td.dataset.field];
+      td.classList.toggle("cell-invalid", Boolean(problem));
+      if (problem) td.title = problem;
+      else td.removeAttribute("title");
+    });
+    tr.classList.toggle("row-invalid", problems.length > 0);
+    tr.querySelector(".row-issues").innerHTML = issueTags(problems);
+    tr.querySelector(".row-qr").innerHTML = qrCell(parsedData[i], i);
+  }
+
+  /**
+   * Render a preview row's QR code in the large modal
+   */
+  function showPreviewQR(row) {
+    document.getElementById("qrModalTitle").textContent = `QR Code — ${row.prn}`;
+    document.getElementById("qrModalPRN").textContent = `${row.name} (${row.prn})`;
+    QRModule.render(document.getElementById("qrModalCode"), qrPayloadMap[row.prn], 256);
+    document.getElementById("qrModal").style.display = "flex";
+  }
+
+  /**
+   * Update the counts above the preview table
+   */
+  function updateValidationSummary() {
+    const invalid = getInvalidRows();
+    const invalidIncluded = invalid.filter((i) => !excludedRows.has(i)).length;
+    const included = parsedData.length - excludedRows.size;
+
+    validationSummary.innerHTML = `
+      <span><strong>${parsedData.length}</strong> rows</span>
+      <span class="${invalid.length ? "summary-bad" : "summary-good"}"><strong>${invalid.length}</strong> with problems</span>
+      <span><strong>${excludedRows.size}</strong> excluded</span>
+      <span><strong>${included}</strong> will be uploaded</span>
+    `;
+    excludeInvalidBtn.disabled = invalidIncluded === 0;
+    downloadErrorsBtn.disabled = invalid.length === 0;
+    processBtn.disabled = included === 0;
+  }
+
+  /**
+   * Include / exclude a row via its checkbox
+   */
+  function onPreviewToggle(e) {
+    if (!e.target.classList.contains("row-include")) return;
+    const i = Number(e.target.dataset.row);
+    if (e.target.checked) {
+      excludedRows.delete(i);
+    } else {
+      excludedRows.add(i);
+    }
+    e.target.closest("tr").classList.toggle("row-excluded", !e.target.checked);
+    updateValidationSummary();
+  }
+
+  /**
+   * Commit an in-place cell edit, then re-validate
+   * Only rows whose problems changed are patched (a PRN edit can clear or
+   * create a duplicate elsewhere); the table itself isn't rebuilt.
+   */
+  async function onPreviewEdit(e) {
+    const cell = e.target;
+    if (!cell.isContentEditable || !cell.dataset.field) return;
+
+    const i = Number(cell.dataset.row);
+    const field = cell.dataset.field;
+    const typed = cell.textContent.trim();
+    const value = field === "year" ? ValidationModule.normalizeYear(typed) : typed;
+    if (cell.textContent !== value) cell.textContent = value;
+    if (parsedData[i][field] === value) return;
+
+    parsedData[i][field] = value;
+    if (field === "prn" && value && !qrPayloadMap[value] && qrEventId) {
+      try {
+        await generateQRCode(value, qrEventId);
+      } catch (err) {
+        // The row is still validated; ensureQRCodes() retries before upload
+        console.error(`Failed to sign QR for ${value}:`, err);
+        showToast(`Could not generate a QR code for ${value} — it will be retried on upload`, "warning");
+      }
+    }
+
+    const before = rowIssues.map((issues) => JSON.stringify(issues));
+    runValidation();
+    rowIssues.forEach((issues, j) => {
+      if (j === i || JSON.stringify(issues) !== before[j]) patchPreviewRow(j);
+    });
+    updateValidationSummary();
+  }
+
+  /**
+   * Exclude every row that still has a problem
+   */
+  function excludeInvalidRows() {
+    getInvalidRows().forEach((i) => excludedRows.add(i));
+    showPreview();
+  }
+
+  /**
+   * Download rows with problems as a CSV for the form owner
+   * Uses the file's original columns plus row number and problem list.
+   */
+  function downloadErrorCSV() {
+    const invalid = getInvalidRows();
+    if (invalid.length === 0) return;
+
+    const rows = [["Row", ...fileHeaders, "Problems"]];
+    invalid.forEach((i) => {
+      const source = rawRows[i] || {};
+      rows.push([
+        i + 1,
+        ...fileHeaders.map((h) => source[h] || ""),
+        Object.values(rowIssues[i]).join("; ")
+      ]);
     });
+
+    const csvContent = rows
+      .map((r) => r.map((v) => `"${String(v).replace(/"/g, '""')}"`).join(","))
+      .join("\n");
+
+    const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
+    const link = document.createElement("a");
+    const baseName = selectedFile ? selectedFile.name.replace(/\.[^.]+$/, "") : "upload";
+    link.href = URL.createObjectURL(blob);
+    link.download = `${baseName}-errors.csv`;
+    link.click();
   }
 
   /**
@@ -196,7 +884,53 @@ const UploadModule = (() => {
       return;
     }
 
+    // Rows with unresolved problems never reach Firestore
+    const invalidIncluded = getInvalidRows().filter((i) => !excludedRows.has(i));
+    if (invalidIncluded.length > 0) {
+      const proceed = confirm(
+        `${invalidIncluded.length} included row(s) still have problems.\n\nExclude them and upload the rest?`
+      );
+      if (!proceed) return;
+      excludeInvalidRows();
+    }
+
+    const rowsToUpload = parsedData.filter((_, i) => !excludedRows.has(i));
+    if (rowsToUpload.length === 0) {
+      showToast("No rows left to upload", "warning");
+      return;
+    }
+
+    // Codes must be signed for the event they're uploaded to
+    try {
+      await ensureQRCodes(eventId);
+    } catch (err) {
+      console.error("QR generation failed:", err);
+      showToast("Could not sign QR codes — check your connection", "error");
+      return;
+    }
+
+    // Record the event's custom field list (shown on dashboard + check-in)
+    const customColumns = getCustomColumns();
+    if (customColumns.length > 0) {
+      try {
+        await eventsRef.doc(eventId).update({
+          customFields: firebase.firestore.FieldValue.arrayUnion(...customColumns)
+        });
+      } catch (err) {
+        console.error("Failed to record custom fields:", err);
+      }
+    }
+
+    // Sync mode previews the diff; changes are applied from there
+    if (uploadMode === "sync") {
+      processBtn.disabled = true;
+      await SyncModule.showDiff(rowsToUpload, eventId, buildAttendeeDoc, Object.keys(columnMapping));
+      processBtn.disabled = false;
+      return;
+    }
+
     processBtn.disabled = true;
+    resumeUploadBtn.disabled = true;
     progressContainer.style.display = "block";
     resultsContainer.style.display = "none";
 
@@ -211,70 +945,170 @@ const UploadModule = (() => {
         "error"
       );
       processBtn.disabled = false;
+      resumeUploadBtn.disabled = false;
+      progressContainer.style.display = "none";
+      return;
+    }
+
+    // PRNs this file already wrote in an earlier, interrupted run
+    const checkpoint = loadCheckpoint(eventId);
+    const writtenByThisFile = new Set(checkpoint.prns);
+
+    // One read of the event's PRNs replaces a query per row
+    updateProgress(0, 1, "Checking existing registrations...");
+    let existing;
+    try {
+      const snapshot = await withTimeout(
+        attendeesRef.where("eventId", "==", eventId).get(),
+        30000
+      );
+      existing = snapshot.docs.map((doc) => doc.data());
+    } catch (err) {
+      console.error("Failed to read existing attendees:", err);
+      showToast("Could not read existing registrations. Please retry.", "error");
+      processBtn.disabled = false;
+      resumeUploadBtn.disabled = false;
       progressContainer.style.display = "none";
       return;
     }
+    const existingPrns = new Set(existing.map((a) => a.prn));
 
     let uploaded = 0;
+    let waitlisted = 0;
     let skipped = 0;
     let failed = 0;
-    const total = parsedData.length;
+    const total = rowsToUpload.length;
+    const pending = [];
+    const seen = new Set();
 
-    for (let i = 0; i < total; i++) {
-      const row = parsedData[i];
-      updateProgress(i + 1, total, `Processing ${row.name}...`);
+    rowsToUpload.forEach((row) => {
+      if (seen.has(row.prn)) {
+        skipped++;
+      } else if (existingPrns.has(row.prn)) {
+        // Rows committed by an earlier run of this same file still count as uploaded
+        writtenByThisFile.has(row.prn) ? uploaded++ : skipped++;
+      } else {
+        pending.push(row);
+      }
+      seen.add(row.prn);
+    });
 
-      try {
-        // Check if PRN already exists in Firestore for this event (duplicate detection) — 10s timeout
-        const existing = await withTimeout(
-          attendeesRef.where("prn", "==", row.prn).where("eventId", "==", eventId).limit(1).get(),
-          10000
-        );
-
-        if (!existing.empty) {
-          skipped++;
-          continue;
-        }
+    if (checkpoint.prns.length > 0 && uploaded > 0) {
+      showToast(`Resuming upload — ${uploaded} row(s) were already written`, "info");
+    }
 
-        // Use pre-generated QR code
-        const qrDataUrl = qrDataMap[row.prn] || "";
-
-        // Build the Firestore document
-        const docData = {
-          name:        row.name,
-          prn:         row.prn,
-          email:       row.email,
-          mobile:      row.mobile,
-          year:        row.year,
-          qrData:      qrDataUrl,
-          checkedIn:   false,
-          checkInTime: null,
-          eventId:     eventId,
-          createdAt:   firebase.firestore.FieldValue.serverTimestamp()
-        };
-
-        // Add to Firestore — 10s timeout
-        await withTimeout(attendeesRef.add(docData), 10000);
-        uploaded++;
+    // Seats go to rows in file order; the rest join the waitlist in that order
+    const nextSeat = CapacityModule.allocator(EventsModule.getSelectedEvent(), existing);
+    const seats = new Map(pending.map((row) => [row.prn, nextSeat()]));
+
+    // Commit in chunks; stop at the first chunk that can't be written
+    for (let start = 0; start < pending.length; start += BATCH_SIZE) {
+      const chunk = pending.slice(start, start + BATCH_SIZE);
+      updateProgress(
+        uploaded + skipped,
+        total,
+        `Uploading rows ${start + 1}–${start + chunk.length} of ${pending.length}...`
+      );
+
+      const batch = db.batch();
+      for (const row of chunk) {
+        const doc = buildAttendeeDoc(row, eventId, seats.get(row.prn));
+        batch.set(attendeesRef.doc(attendeeDocId(eventId, row.prn)), doc);
+        await TicketsModule.write(batch, doc);
+      }
+
+      try {
+        await retryAsync(() => withTimeout(batch.commit(), 30000), 3);
+        uploaded += chunk.length;
+        waitlisted += chunk.filter((row) => seats.get(row.prn).waitlisted).length;
+        chunk.forEach((row) => writtenByThisFile.add(row.prn));
+        saveCheckpoint(eventId, writtenByThisFile);
       } catch (err) {
-        console.error(`Failed to process ${row.prn}:`, err);
-        failed++;
+        console.error(`Failed to commit rows ${start + 1}–${start + chunk.length}:`, err);
+        failed = pending.length - start;
+        break;
       }
     }
 
+    // A clean run needs no checkpoint; a failed one keeps it for Resume
+    if (failed === 0) clearCheckpoint();
+
     // Show results
-    updateProgress(total, total, "Complete!");
+    updateProgress(total, total, failed > 0 ? "Stopped — some rows were not uploaded" : "Complete!");
     totalUploaded.textContent = uploaded;
     totalSkipped.textContent = skipped;
     totalFailed.textContent = failed;
+    resultsTitle.innerHTML = failed > 0
+      ? '<i class="fas fa-exclamation-triangle"></i> Upload Interrupted'
+      : '<i class="fas fa-check-circle"></i> Upload Complete';
+    resultsContainer.classList.toggle("has-failures", failed > 0);
+    resumeUploadBtn.style.display = failed > 0 ? "inline-flex" : "none";
+    resumeUploadBtn.disabled = false;
     resultsContainer.style.display = "block";
+    processBtn.disabled = failed === 0;
 
+    const added = waitlisted > 0 ? `${uploaded} added (${waitlisted} waitlisted — event is full)` : `${uploaded} added`;
     showToast(
-      `Upload complete: ${uploaded} added, ${skipped} skipped, ${failed} failed`,
+      failed > 0
+        ? `Upload stopped: ${added}, ${skipped} skipped, ${failed} not uploaded — use Resume to continue`
+        : `Upload complete: ${added}, ${skipped} skipped, ${failed} failed`,
       failed > 0 ? "warning" : "success"
     );
   }
 
+  /**
+   * Build the Firestore document for one row
+   * @param {Object} [seat] - From CapacityModule.allocator ({} = confirmed)
+   */
+  function buildAttendeeDoc(row, eventId, seat = {}) {
+    return {
+      name:        row.name,
+      prn:         row.prn,
+      email:       row.email,
+      mobile:      row.mobile,
+      year:        row.year,
+      guestsAllowed: Number(row.guests) || 0,
+      custom:      row.custom || {},
+      qrPayload:   qrPayloadMap[row.prn] || "",
+      checkedIn:   false,
+      checkInTime: null,
+      eventId:     eventId,
+      createdAt:   firebase.firestore.FieldValue.serverTimestamp(),
+      ...seat
+    };
+  }
+
+  /**
+   * Load the resume checkpoint for the current file + event
+   * @returns {{prns: string[]}}
+   */
+  function loadCheckpoint(eventId) {
+    try {
+      const saved = JSON.parse(localStorage.getItem(CHECKPOINT_KEY) || "null");
+      if (saved && saved.eventId === eventId && selectedFile && saved.fileName === selectedFile.name) {
+        return { prns: saved.prns || [] };
+      }
+    } catch (_) { /* corrupt checkpoint — start fresh */ }
+    return { prns: [] };
+  }
+
+  /**
+   * Remember which PRNs this file has written, so a re-run after a crash resumes
+   */
+  function saveCheckpoint(eventId, prns) {
+    try {
+      localStorage.setItem(CHECKPOINT_KEY, JSON.stringify({
+        eventId,
+        fileName: selectedFile ? selectedFile.name : "",
+        prns: [...prns]
+      }));
+    } catch (_) { /* storage full or disabled — resume still works via existing-PRN check */ }
+  }
+
+  function clearCheckpoint() {
+    localStorage.removeItem(CHECKPOINT_KEY);
+  }
+
   /**
    * Wrap a promise with a timeout — rejects if it doesn't resolve in time
    */
@@ -287,11 +1121,6 @@ const UploadModule = (() => {
     ]);
   }
 
-  /**
-   * Generate a QR code and return its base64 data URL
-   * @param {string} data - Data to encode (PRN)
-   * @returns {Promise<string>} Base64 data URL of the QR PNG
-   */
   /**
    * Retry an async function up to maxRetries times with exponential backoff
    */
@@ -306,33 +1135,6 @@ const UploadModule = (() => {
     }
   }
 
-  function generateQRCode(data) {
-    return new Promise((resolve) => {
-      // Create a temporary off-screen container (not display:none so canvas renders)
-      const tempDiv = document.createElement("div");
-      tempDiv.style.cssText = "position:absolute;left:-9999px;top:-9999px;";
-      document.body.appendChild(tempDiv);
-
-      // Generate QR
-      new QRCode(tempDiv, {
-        text: data,
-        width: 256,
-        height: 256,
-        colorDark: "#1e293b",
-        colorLight: "#ffffff",
-        correctLevel: QRCode.CorrectLevel.H
-      });
-
-      // Wait for the canvas to render
-      setTimeout(() => {
-        const canvas = tempDiv.querySelector("canvas");
-        const dataUrl = canvas ? canvas.toDataURL("image/png") : "";
-        tempDiv.remove();
-        resolve(dataUrl);
-      }, 50);
-    });
-  }
-
   /**
    * Update the progress bar UI
    */
@@ -343,21 +1145,49 @@ const UploadModule = (() => {
     progressFill.style.width = `${pct}%`;
   }
 
+  /**
+   * Drop the preview and its rows (e.g. when another sheet is picked)
+   */
+  function clearPreview() {
+    parsedData = [];
+    rowIssues = [];
+    excludedRows = new Set();
+    processBtn.disabled = true;
+    previewContainer.style.display = "none";
+    previewBody.innerHTML = "";
+    resultsContainer.style.display = "none";
+    SyncModule.hide();
+  }
+
   /**
    * Reset the upload interface
    */
   function resetUpload() {
     selectedFile = null;
+    workbook = null;
+    sheetSelect.innerHTML = "";
+    sheetSelect.style.display = "none";
     parsedData = [];
-    qrDataMap = {};
+    qrPayloadMap = {};
+    qrEventId = null;
+    rawRows = [];
+    fileHeaders = [];
+    columnMapping = {};
+    ignoredColumns = new Set();
+    rowIssues = [];
+    excludedRows = new Set();
     fileInput.value = "";
     uploadArea.style.display = "";
     fileInfo.style.display = "none";
     processBtn.disabled = true;
     progressContainer.style.display = "none";
     resultsContainer.style.display = "none";
+    resumeUploadBtn.style.display = "none";
     previewContainer.style.display = "none";
     previewBody.innerHTML = "";
+    SyncModule.hide();
+    mappingContainer.style.display = "none";
+    mappingGrid.innerHTML = "";
   }
 
   /**
@@ -0,0 +1,106 @@
+/**
+ * ============================================
+ * Row Validation Module
+ * ============================================
+ *
+ * Handles:
+ * - Checking parsed upload rows before they reach Firestore
+ * - Email format, mobile (10 digits or E.164) and year (FE/SE/TE/BE) rules
+ * - Guest allowance: a whole number up to MAX_GUESTS (empty means none)
+ * - PRNs repeated within the same file
+ *
+ * Rules only apply to fields whose column was mapped, so a file without a
+ * mobile column isn't flagged for missing mobile numbers.
+ */
+
+const ValidationModule = (() => {
+  const EMAIL_PATTERN  = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  const MOBILE_PATTERN = /^\d{10}$/;
+  const E164_PATTERN   = /^\+[1-9]\d{7,14}$/;
+  const VALID_YEARS    = ["FE", "SE", "TE", "BE"];
+  const MAX_GUESTS     = 20;
+
+  /**
+   * Validate a single field value
+   * @param {string} field - Attendee field key
+   * @param {string} value - Cell value (already trimmed)
+   * @returns {string} Problem description, or "" when valid
+   */
+  function validateField(field, value) {
+    switch (field) {
+      case "name":
+        return value ? "" : "Missing name";
+      case "prn":
+        return value ? "" : "Missing PRN";
+      case "email":
+        if (!value) return "Missing email";
+        return EMAIL_PATTERN.test(value) ? "" : "Invalid email format";
+      case "mobile": {
+        if (!value) return "Missing mobile";
+        const compact = value.replace(/[\s\-()]/g, "");
+        return MOBILE_PATTERN.test(compact) || E164_PATTERN.test(compact)
+          ? ""
+          : "Mobile must be 10 digits or E.164 (+91...)";
+      }
+      case "year":
+        if (!value) return "Missing year";
+        return VALID_YEARS.includes(value.toUpperCase())
+          ? ""
+          : `Year must be one of ${VALID_YEARS.join("/")}`;
+      case "guests":
+        if (!value) return "";
+        return /^\d+$/.test(value) && Number(value) <= MAX_GUESTS
+          ? ""
+          : `Guests must be a whole number from 0 to ${MAX_GUESTS}`;
+      default:
+        return "";
+    }
+  }
+
+  /**
+   * Validate every row, including PRNs repeated within the file
+   * @param {Object[]} rows - Rows with name/prn/email/mobile/year
+   * @param {string[]} fields - Field keys that were mapped to a column
+   * @returns {Object[]} One entry per row: field → problem description
+   */
+  function validateRows(rows, fields) {
+    const issues = rows.map((row) => {
+      const rowIssues = {};
+      fields.forEach((field) => {
+        const problem = validateField(field, row[field] || "");
+        if (problem) rowIssues[field] = problem;
+      });
+      return rowIssues;
+    });
+
+    // Group row numbers by PRN to flag repeats
+    const prnRows = {};
+    rows.forEach((row, i) => {
+      if (!row.prn) return;
+      const key = row.prn.toUpperCase();
+      (prnRows[key] = prnRows[key] || []).push(i);
+    });
+
+    // The first copy is the registration; only later copies are flagged, so
+    // excluding invalid rows keeps one of them
+    Object.values(prnRows).forEach(([first, ...repeats]) => {
+      repeats.forEach((i) => {
+        issues[i].prn = `Duplicate PRN (first on row ${first + 1})`;
+      });
+    });
+
+    return issues;
+  }
+
+  /**
+   * Store a year accepted case-insensitively ("se") in its canonical form ("SE")
+   * Anything else is returned as typed so validation can report it.
+   */
+  function normalizeYear(value) {
+    const upper = value.trim().toUpperCase();
+    return VALID_YEARS.includes(upper) ? upper : value;
+  }
+
+  // Public API
+  return { validateField, validateRows, normalizeYear, VALID_YEARS, MAX_GUESTS };
+})();